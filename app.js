@@ -1,619 +1,333 @@
 // Constants
-const PERIODS = 8;
 const LS_KEY = "rotation_planner_state_v8";
+const TEAMS_KEY = "rotation_planner_teams_v1";
 const THEME_KEY = "rotation_planner_theme";
+const HISTORY_KEY = "rotation_planner_history_v1";
+const HISTORY_LIMIT = 30; // Undo steps kept
+const LEGACY_KEYS = [7, 6, 5, 4, 3, 2, 1].map(v => `rotation_planner_state_v${v}`);
+const EXPORT_FORMAT = "rotation-planner";
+const SHARE_VERSION = 3;
+const ALERT_SECONDS = 30; // Warn the bench this long before a period ends
+const TIER_LABELS = { 3: "★★★", 2: "★★", 1: "★" };
+const POSITION_SHORT = { handler: "BH", guard: "G", wing: "W", big: "B" };
 
-// Dynamic: Get players on court based on game mode
-function getOnCourt() {
-  return state.gameMode === "5v5" ? 5 : 4;
-}
+// --- Scheduling Core (scheduler.js) ---
+// Its helpers take the game first; these versions read the current `state`
+const { DEFAULT_PERIODS, TIERS, POSITIONS, PAIR_TYPES, FORMATS, isTop, formatClock, checkPattern } = Scheduler;
+const {
+  STATE_VERSION, MAX_PERIODS, MAX_ON_COURT, uid, isObject,
+  defaultState, defaultPositionRules, defaultClock, migrateState, validatePositionRules
+} = Scheduler;
+const bound = (fn) => (...args) => fn(state, ...args);
+const getFormat = bound(Scheduler.getFormat);
+const getOnCourt = bound(Scheduler.getOnCourt);
+const getPeriods = bound(Scheduler.getPeriods);
+const getPlayer = bound(Scheduler.getPlayer);
+const getName = bound(Scheduler.getName);
+const getActivePool = bound(Scheduler.getActivePool);
+const getPeriodPool = bound(Scheduler.getPeriodPool);
+const getPeriodSeconds = bound(Scheduler.getPeriodSeconds);
+const getSubs = bound(Scheduler.getSubs);
+const getPlayedSeconds = bound(Scheduler.getPlayedSeconds);
+const getPlayedCounts = bound(Scheduler.getPlayedCounts);
+const getFinalLineup = bound(Scheduler.getFinalLineup);
+const getScheduleStreakBreaks = bound(Scheduler.getScheduleStreakBreaks);
+const getCoverageShortfall = bound(Scheduler.getCoverageShortfall);
+const getPositionRules = bound(Scheduler.getPositionRules);
+const getPositionViolations = bound(Scheduler.getPositionViolations);
+const getPairViolations = bound(Scheduler.getPairViolations);
+const getPairDeficits = bound(Scheduler.getPairDeficits);
+const formatPairDeficit = bound(Scheduler.formatPairDeficit);
+const getDefaultPattern = bound(Scheduler.getDefaultPattern);
+const patternFits = bound(Scheduler.patternFits);
+const checkFairness = bound(Scheduler.checkFairness);
+const getFairnessReport = bound(Scheduler.getFairnessReport);
 
-// Helper: unique ID
-const uid = () => Date.now().toString(36) + Math.random().toString(36).substr(2);
+// What went wrong reading saved data, reported once the page has rendered
+const loadIssues = { errors: [], problems: [], backups: [] };
 
-// Default State
-function defaultState() {
-  return {
-    gameMode: "4v4", // "4v4" or "5v5"
-    mode: "fair_optimized",
-    currentPeriod: 1,
-    topTwoCoverage: true,
-    avoidStreaks: false,
-    autoRebuild: false,
-    players: [], // Start with empty roster
-    schedule: {},
-    locked: {}
-  };
+// Keeps an untouched copy of data we couldn't read cleanly. One backup per key:
+// a newer copy replaces the last one, and timestamped copies from older versions
+// are cleared, so repeated reloads can't fill up storage.
+function backupRaw(key, raw) {
+  const backupKey = `${key}_backup`;
+  try {
+    Object.keys(localStorage)
+      .filter(k => k.startsWith(`${backupKey}_`))
+      .forEach(k => localStorage.removeItem(k));
+    localStorage.setItem(backupKey, raw);
+    loadIssues.backups.push({ key: backupKey, raw });
+  } catch {
+    loadIssues.backups.push({ key: null, raw });
+  }
 }
 
 let state = loadState();
+let library = loadLibrary();
+
+// Set while a past game is open read-only; holds the live state to return to
+let liveState = null;
 
 // --- Persistence ---
 function loadState() {
+  // Fall back to the newest key an older version of the app wrote
+  const key = [LS_KEY, ...LEGACY_KEYS].find(k => localStorage.getItem(k) !== null);
+  if (!key) return defaultState();
+  
+  const raw = localStorage.getItem(key);
   try {
-    const raw = localStorage.getItem(LS_KEY);
-    if (!raw) return defaultState();
-    return { ...defaultState(), ...JSON.parse(raw) };
-  } catch {
+    const { state: loaded, problems } = migrateState(JSON.parse(raw));
+    if (problems.length > 0) {
+      backupRaw(key, raw);
+      loadIssues.problems.push(...problems);
+    }
+    return loaded;
+  } catch (err) {
+    backupRaw(key, raw);
+    loadIssues.errors.push(`Game: ${err.message}`);
     return defaultState();
   }
 }
 
 function saveState() {
+  if (liveState) return; // Read-only views are never written back
+  recordHistory();
   localStorage.setItem(LS_KEY, JSON.stringify(state));
 }
 
-// --- Logic Helpers ---
-const getPlayer = (id) => state.players.find(p => p.id === id);
-const getName = (id) => getPlayer(id)?.name || "Unknown";
+// --- Undo / Redo ---
+// Snapshots of the state before each saved change, kept across reloads. The clock
+// is left out so ticking and pausing aren't steps. Saves made in the same task,
+// like a setting followed by its auto-rebuild, count as one step.
+let undoHistory = loadHistory();
+let lastSnapshot = snapshotOf(state);
+let stepOpen = false;
 
-function getActivePool() { 
-  return state.players.filter(p => p.available && !p.out); 
+function snapshotOf(s) {
+  const { clock, ...rest } = s;
+  return JSON.stringify(rest);
 }
 
-function shuffle(arr) {
-  const a = arr.slice();
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
+function loadHistory() {
+  const empty = { undo: [], redo: [] };
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    return isObject(saved) && Array.isArray(saved.undo) && Array.isArray(saved.redo) ? saved : empty;
+  } catch {
+    return empty; // Unreadable history only costs the undo steps
   }
-  return a;
 }
 
-function getPlayedCounts(upToPeriod) {
-  const counts = {};
-  state.players.forEach(p => counts[p.id] = 0);
-  for (let k = 1; k < upToPeriod; k++) {
-    const lineup = state.schedule[String(k)];
-    if (lineup) lineup.forEach(pid => counts[pid] = (counts[pid] || 0) + 1);
+function saveHistory() {
+  // Drop the oldest steps until the history fits next to the game
+  for (;;) {
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify(undoHistory));
+      return;
+    } catch {
+      if (undoHistory.undo.length === 0) return;
+      undoHistory.undo.shift();
+    }
   }
-  return counts;
 }
 
-function getStreakCounts(upToPeriod) {
-  const streak = {};
-  state.players.forEach(p => streak[p.id] = 0);
-  for (let k = 1; k < upToPeriod; k++) {
-    const lineup = state.schedule[String(k)] || [];
-    const set = new Set(lineup);
-    state.players.forEach(p => {
-      streak[p.id] = set.has(p.id) ? (streak[p.id] || 0) + 1 : 0;
-    });
+function recordHistory() {
+  const snapshot = snapshotOf(state);
+  if (snapshot === lastSnapshot) return;
+  
+  if (!stepOpen) {
+    undoHistory.undo.push(lastSnapshot);
+    if (undoHistory.undo.length > HISTORY_LIMIT) undoHistory.undo.shift();
+    undoHistory.redo = [];
+    stepOpen = true;
+    setTimeout(() => stepOpen = false);
   }
-  return streak;
+  lastSnapshot = snapshot;
+  saveHistory();
+  renderUndoButtons();
 }
 
-// --- Core Generator Logic ---
-function calculateStreakPenalty(lineup, streakBefore) {
-  if (!state.avoidStreaks) return 0;
-  let penalty = 0;
-  for (const pid of lineup) {
-    const s = streakBefore[pid] || 0;
-    if (s >= 2) penalty += (s * 10);
-    else if (s === 1) penalty += 1;
-  }
-  return penalty;
+// Moves one step from `from` to `to`; the running clock is kept as it is
+function stepHistory(from, to, message) {
+  if (from.length === 0 || liveState) return;
+  
+  to.push(lastSnapshot);
+  state = { ...migrateState(JSON.parse(from.pop())).state, clock: state.clock };
+  lastSnapshot = snapshotOf(state);
+  localStorage.setItem(LS_KEY, JSON.stringify(state));
+  saveHistory();
+  renderAll();
+  setStatus(message);
 }
 
-// --- Top Player Distribution ---
-function calculateTopPlayerPenalty(lineup, pool) {
-  if (!state.topTwoCoverage) return 0;
-  
-  const topPlayers = pool.filter(p => p.top).map(p => p.id);
-  
-  if (topPlayers.length === 0) return 0;
-  if (topPlayers.length === 1) {
-    return lineup.includes(topPlayers[0]) ? 0 : 100;
-  }
-  
-  const topCount = lineup.filter(id => topPlayers.includes(id)).length;
-  
-  if (topCount === 1) return 0;
-  if (topCount === 0) return 50;
-  if (topCount === 2) return 5;
-  return topCount * 10;
+const undo = () => stepHistory(undoHistory.undo, undoHistory.redo, "Undone.");
+const redo = () => stepHistory(undoHistory.redo, undoHistory.undo, "Redone.");
+
+// Starts an empty history, e.g. after switching to another team's state
+function resetHistory() {
+  undoHistory = { undo: [], redo: [] };
+  lastSnapshot = snapshotOf(state);
+  saveHistory();
+  renderUndoButtons();
 }
 
-// --- IMPROVED: Core Fairness Function with STRICT Top Player Priority ---
-function selectFairLineup(period, pool, played, streak) {
-  const poolIds = pool.map(p => p.id);
-  const topPlayerIds = pool.filter(p => p.top).map(p => p.id);
-  
-  // Sort all players by: 1) periods played (ascending), 2) top status (descending)
-  const sorted = poolIds.slice().sort((a, b) => {
-    const playedA = played[a] || 0;
-    const playedB = played[b] || 0;
-    
-    // Primary: fewest periods played
-    if (playedA !== playedB) return playedA - playedB;
-    
-    // Secondary: TOP players first
-    const aTop = topPlayerIds.includes(a) ? 1 : 0;
-    const bTop = topPlayerIds.includes(b) ? 1 : 0;
-    if (aTop !== bTop) return bTop - aTop;
-    
-    // Tertiary: random
-    return Math.random() - 0.5;
-  });
-  
-  // Take the first ON_COURT players (they have min periods and TOP priority)
-  const ON_COURT = getOnCourt();
-  let lineup = sorted.slice(0, ON_COURT);
-  
-  // Verify the lineup maintains fairness (everyone in lineup has same or +1 periods)
-  const lineupPlayed = lineup.map(id => played[id] || 0);
-  const minInLineup = Math.min(...lineupPlayed);
-  const maxInLineup = Math.max(...lineupPlayed);
-  
-  // If lineup has a mix, we can optimize within those at the minimum
-  if (maxInLineup === minInLineup) {
-    // Everyone has same count - we can shuffle for streak optimization
-    const candidates = sorted.filter(id => (played[id] || 0) === minInLineup);
-    
-    const ON_COURT = getOnCourt();
-    if (candidates.length > ON_COURT) {
-      let bestLineup = lineup;
-      let minScore = calculateStreakPenalty(lineup, streak) + calculateTopPlayerPenalty(lineup, pool);
-      
-      // Try a few random combinations to optimize streaks
-      for (let i = 0; i < 30; i++) {
-        const testLineup = shuffle(candidates).slice(0, ON_COURT);
-        const score = calculateStreakPenalty(testLineup, streak) + calculateTopPlayerPenalty(testLineup, pool);
-        
-        if (score < minScore) {
-          minScore = score;
-          bestLineup = testLineup;
-          if (score === 0) break;
-        }
+function renderUndoButtons() {
+  document.getElementById("undoBtn").disabled = !!liveState || undoHistory.undo.length === 0;
+  document.getElementById("redoBtn").disabled = !!liveState || undoHistory.redo.length === 0;
+}
+
+// Teams and their game history. The active team's working state lives under LS_KEY;
+// other teams keep theirs in `state` until switched to.
+function loadLibrary() {
+  const raw = localStorage.getItem(TEAMS_KEY);
+  if (raw) {
+    try {
+      const { library: loaded, problems } = validateLibrary(JSON.parse(raw));
+      if (problems.length > 0) {
+        backupRaw(TEAMS_KEY, raw);
+        loadIssues.problems.push(...problems);
       }
-      
-      lineup = bestLineup;
+      return loaded;
+    } catch (err) {
+      backupRaw(TEAMS_KEY, raw);
+      loadIssues.errors.push(`Teams: ${err.message}`);
     }
   }
   
-  return lineup;
+  const team = { id: uid(), name: "My Team", state: null, games: [] };
+  return { activeTeamId: team.id, teams: [team] };
 }
 
-// --- Fair Optimized Mode ---
-function buildFairOptimized(startPeriod) {
-  const pool = getActivePool();
-  const ON_COURT = getOnCourt();
-  
-  if (pool.length < ON_COURT) {
-    setStatus(`Need ${ON_COURT} active players.`);
-    return;
+// Checks the team list and migrates every stored team and game state
+function validateLibrary(data) {
+  if (!isObject(data) || !Array.isArray(data.teams) || data.teams.length === 0) {
+    throw new Error("Team list is missing or not a list.");
   }
   
-  if (pool.length === ON_COURT) {
-    for (let k = startPeriod; k <= PERIODS; k++) {
-      if (!state.locked[String(k)]) state.schedule[String(k)] = pool.map(p => p.id);
+  const problems = [];
+  const teams = data.teams.filter(isObject).map(t => {
+    const name = typeof t.name === "string" && t.name ? t.name : "Team";
+    const team = { id: typeof t.id === "string" ? t.id : uid(), name, state: null, games: [] };
+    
+    if (t.state) {
+      try {
+        const result = migrateState(t.state);
+        team.state = result.state;
+        problems.push(...result.problems.map(msg => `${name}: ${msg}`));
+      } catch (err) {
+        problems.push(`${name}: roster could not be read (${err.message})`);
+      }
     }
-    return;
-  }
-
-  for (let k = startPeriod; k <= PERIODS; k++) {
-    if (state.locked[String(k)]) continue;
     
-    const played = getPlayedCounts(k);
-    const streak = getStreakCounts(k);
+    (Array.isArray(t.games) ? t.games : []).forEach((g, i) => {
+      try {
+        const result = migrateState(g.state);
+        team.games.push({ ...g, id: g.id || uid(), state: result.state });
+      } catch (err) {
+        problems.push(`${name}: dropped unreadable game #${i + 1} (${err.message})`);
+      }
+    });
     
-    state.schedule[String(k)] = selectFairLineup(k, pool, played, streak);
-  }
+    return team;
+  });
   
-  verifyFairness();
+  const activeTeamId = teams.some(t => t.id === data.activeTeamId) ? data.activeTeamId : teams[0].id;
+  return { library: { activeTeamId, teams }, problems };
 }
 
-// --- Sliding Fixed Mode: Uses predetermined rotation patterns (NO TOP priority) ---
-function buildSlidingFixed(startPeriod) {
-  const pool = getActivePool();
-  const ON_COURT = getOnCourt();
-  
-  if (pool.length < ON_COURT) {
-    setStatus(`Need ${ON_COURT} active players.`);
-    return;
-  }
-  
-  if (pool.length === ON_COURT) {
-    for (let k = startPeriod; k <= PERIODS; k++) {
-      if (!state.locked[String(k)]) state.schedule[String(k)] = pool.map(p => p.id);
-    }
-    return;
-  }
-
-  // Get player IDs in roster order exactly as arranged (order matters!)
-  const poolIds = pool.map(p => p.id);
-  const numPlayers = poolIds.length;
-  
-  // Define rotation patterns based on number of players and game mode
-  const rotationPatterns = getRotationPatterns(ON_COURT);
-  
-  let pattern = rotationPatterns[numPlayers];
-  
-  if (!pattern) {
-    // For non-standard player counts, use fair algorithm without TOP priority
-    for (let k = startPeriod; k <= PERIODS; k++) {
-      if (state.locked[String(k)]) continue;
-      const played = getPlayedCounts(k);
-      const minPlayed = Math.min(...poolIds.map(id => played[id] || 0));
-      const candidates = poolIds.filter(id => (played[id] || 0) === minPlayed);
-      state.schedule[String(k)] = shuffle(candidates).slice(0, ON_COURT);
-    }
-    return;
-  }
-  
-  // Apply the pattern using roster order exactly as is
-  for (let k = startPeriod; k <= PERIODS; k++) {
-    if (state.locked[String(k)]) continue;
-    
-    const periodIndex = k - 1; // 0-based index
-    const positions = pattern[periodIndex];
-    
-    // Map positions to actual player IDs
-    const lineup = positions.map(pos => poolIds[pos]);
-    state.schedule[String(k)] = lineup;
-  }
+function saveLibrary() {
+  localStorage.setItem(TEAMS_KEY, JSON.stringify(library));
 }
 
-// --- Sliding Adaptive Mode: Sliding pattern with TOP player priority ---
-function buildSlidingAdaptive(startPeriod) {
-  const pool = getActivePool();
-  const ON_COURT = getOnCourt();
-  
-  if (pool.length < ON_COURT) {
-    setStatus(`Need ${ON_COURT} active players.`);
-    return;
-  }
-  
-  if (pool.length === ON_COURT) {
-    for (let k = startPeriod; k <= PERIODS; k++) {
-      if (!state.locked[String(k)]) state.schedule[String(k)] = pool.map(p => p.id);
-    }
-    return;
-  }
+const getActiveTeam = () => library.teams.find(t => t.id === library.activeTeamId) || library.teams[0];
 
-  const numPlayers = pool.length;
-  
-  // First, calculate how many periods each player SHOULD get for fairness
-  const totalSlots = PERIODS * ON_COURT;
-  const avgPeriods = totalSlots / numPlayers;
-  const minPeriods = Math.floor(avgPeriods);
-  const maxPeriods = Math.ceil(avgPeriods);
-  
-  // Calculate how many players get max vs min
-  const playersWithMax = Math.round((avgPeriods - minPeriods) * numPlayers);
-  const playersWithMin = numPlayers - playersWithMax;
-  
-  // Sort pool: TOP players first, then others
-  const topPlayers = pool.filter(p => p.top);
-  const nonTopPlayers = pool.filter(p => !p.top);
-  
-  // Assign target periods: TOP players get maxPeriods, fill remaining with non-top
-  const targetPeriods = {};
-  let maxSlotsLeft = playersWithMax;
-  
-  // Give TOP players the max periods first
-  topPlayers.forEach(p => {
-    if (maxSlotsLeft > 0) {
-      targetPeriods[p.id] = maxPeriods;
-      maxSlotsLeft--;
-    } else {
-      targetPeriods[p.id] = minPeriods;
-    }
-  });
-  
-  // Give remaining players the remaining slots
-  nonTopPlayers.forEach(p => {
-    if (maxSlotsLeft > 0) {
-      targetPeriods[p.id] = maxPeriods;
-      maxSlotsLeft--;
-    } else {
-      targetPeriods[p.id] = minPeriods;
-    }
-  });
-  
-  // Define rotation patterns (same as sliding fixed)
-  const rotationPatterns = getRotationPatterns(ON_COURT);
-  
-  let pattern = rotationPatterns[numPlayers];
-  
-  if (!pattern) {
-    // For non-standard player counts, fall back to fair algorithm with TOP priority
-    buildFairOptimized(startPeriod);
-    return;
-  }
-  
-  // Reorder the pool to put TOP players in positions that get more playing time
-  // We need to figure out which positions in the pattern play the most
-  const positionCounts = Array(numPlayers).fill(0);
-  pattern.forEach(periodPositions => {
-    periodPositions.forEach(pos => {
-      positionCounts[pos]++;
-    });
-  });
-  
-  // Create array of [position, count] and sort by count (descending)
-  const positionsByPlayTime = positionCounts
-    .map((count, pos) => ({ pos, count }))
-    .sort((a, b) => b.count - a.count);
-  
-  // Create optimized roster order: assign TOP players to high-play positions
-  const optimizedRoster = Array(numPlayers).fill(null);
-  
-  let topIndex = 0;
-  let nonTopIndex = 0;
-  
-  positionsByPlayTime.forEach(({ pos, count }) => {
-    if (topIndex < topPlayers.length) {
-      optimizedRoster[pos] = topPlayers[topIndex++];
-    } else {
-      optimizedRoster[pos] = nonTopPlayers[nonTopIndex++];
-    }
-  });
-  
-  // Get optimized player IDs
-  const optimizedIds = optimizedRoster.map(p => p.id);
-  
-  // Apply the pattern with optimized roster
-  for (let k = startPeriod; k <= PERIODS; k++) {
-    if (state.locked[String(k)]) continue;
-    
-    const periodIndex = k - 1;
-    const positions = pattern[periodIndex];
-    
-    const lineup = positions.map(pos => optimizedIds[pos]);
-    state.schedule[String(k)] = lineup;
-  }
-  
-  verifyFairness();
-}
+// --- Display Helpers ---
+// Rounds a (possibly partial) period count for display
+const formatPeriods = (n) => String(Math.round(n * 10) / 10);
 
-// --- True Random Fair Mode: Random mix each period while maintaining fairness ---
-function buildTrueRandomFair(startPeriod) {
-  const pool = getActivePool();
-  const ON_COURT = getOnCourt();
-  
-  if (pool.length < ON_COURT) {
-    setStatus(`Need ${ON_COURT} active players.`);
-    return;
-  }
-  
-  if (pool.length === ON_COURT) {
-    for (let k = startPeriod; k <= PERIODS; k++) {
-      if (!state.locked[String(k)]) state.schedule[String(k)] = pool.map(p => p.id);
-    }
-    return;
-  }
+// Names and rule messages can come from shared links and imported files, so
+// anything user-supplied goes through this before it reaches innerHTML
+const escapeHTML = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+const nameHTML = (id) => escapeHTML(getName(id));
 
-  const poolIds = pool.map(p => p.id);
+// Parses "m:ss" (or plain minutes) into seconds; returns null when invalid
+function parseClock(text) {
+  const match = String(text).trim().match(/^(\d{1,2})(?::([0-5]\d))?$/);
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2] || 0);
+}
 
-  // Build each period with maximum randomness while maintaining fairness
-  for (let k = startPeriod; k <= PERIODS; k++) {
-    if (state.locked[String(k)]) continue;
-    
-    const played = getPlayedCounts(k);
+// --- Season Totals (archived games of the active team) ---
+function getSeasonTotals() {
+  const games = getActiveTeam().games;
+  const totals = {};
+  state.players.forEach(p => totals[p.id] = { games: 0, periods: 0, starts: 0, offered: 0 });
+  
+  games.forEach(({ state: g }) => {
+    const periods = g.periods || DEFAULT_PERIODS;
     
-    // Find minimum periods played
-    const minPlayed = Math.min(...poolIds.map(id => played[id] || 0));
-    
-    // Get all players with minimum periods
-    const mustPlay = poolIds.filter(id => (played[id] || 0) === minPlayed);
+    g.players.filter(p => p.available && !p.out && totals[p.id]).forEach(p => {
+      totals[p.id].games++;
+      totals[p.id].offered += periods;
+    });
     
-    if (mustPlay.length >= ON_COURT) {
-      // Randomly select from players with minimum time
-      state.schedule[String(k)] = shuffle(mustPlay).slice(0, ON_COURT);
-    } else {
-      // Must include all mustPlay, fill rest from next tier randomly
-      const nextTier = poolIds.filter(id => (played[id] || 0) === minPlayed + 1);
-      const needed = ON_COURT - mustPlay.length;
-      state.schedule[String(k)] = [...mustPlay, ...shuffle(nextTier).slice(0, needed)];
+    for (let k = 1; k <= periods; k++) {
+      (g.schedule[String(k)] || []).forEach(pid => {
+        if (!totals[pid]) return;
+        totals[pid].periods++;
+        if (k === 1) totals[pid].starts++;
+      });
     }
-  }
+  });
   
-  verifyFairness();
-}
-
-// --- Rotation Pattern Generator ---
-function getRotationPatterns(onCourt) {
-  if (onCourt === 4) {
-    return {
-      8: [ // 8 players: each player plays 4 out of 8 periods
-        [0, 1, 2, 3],  // Period 1: Players 1,2,3,4
-        [4, 5, 6, 7],  // Period 2: Players 5,6,7,8
-        [1, 2, 3, 4],  // Period 3: Players 2,3,4,5
-        [5, 6, 7, 0],  // Period 4: Players 6,7,8,1
-        [2, 3, 4, 5],  // Period 5: Players 3,4,5,6
-        [6, 7, 0, 1],  // Period 6: Players 7,8,1,2
-        [2, 3, 4, 5],  // Period 7: Players 3,4,5,6
-        [6, 7, 0, 1]   // Period 8: Players 7,8,1,2
-      ],
-      7: [ // 7 players: each plays 4-5 periods
-        [0, 1, 2, 3],  // Period 1: Players 1,2,3,4
-        [4, 5, 6, 0],  // Period 2: Players 5,6,7,1
-        [1, 2, 3, 4],  // Period 3: Players 2,3,4,5
-        [5, 6, 0, 1],  // Period 4: Players 6,7,1,2
-        [2, 3, 4, 5],  // Period 5: Players 3,4,5,6
-        [6, 0, 1, 2],  // Period 6: Players 7,1,2,3
-        [3, 4, 5, 6],  // Period 7: Players 4,5,6,7
-        [0, 1, 2, 3]   // Period 8: Players 1,2,3,4
-      ],
-      6: [ // 6 players: each plays 5-6 periods
-        [0, 1, 2, 3],
-        [4, 5, 0, 1],
-        [2, 3, 4, 5],
-        [0, 1, 2, 3],
-        [4, 5, 0, 1],
-        [2, 3, 4, 5],
-        [0, 1, 2, 3],
-        [4, 5, 0, 1]
-      ],
-      5: [ // 5 players: each plays 6-7 periods
-        [0, 1, 2, 3],
-        [4, 0, 1, 2],
-        [3, 4, 0, 1],
-        [2, 3, 4, 0],
-        [1, 2, 3, 4],
-        [0, 1, 2, 3],
-        [4, 0, 1, 2],
-        [3, 4, 0, 1]
-      ]
-    };
-  } else { // 5v5
-    return {
-      10: [ // 10 players: each plays 4 out of 8 periods
-        [0, 1, 2, 3, 4],    // Period 1: Players 1-5
-        [5, 6, 7, 8, 9],    // Period 2: Players 6-10
-        [1, 2, 3, 4, 5],    // Period 3: Players 2-6
-        [6, 7, 8, 9, 0],    // Period 4: Players 7-10,1
-        [2, 3, 4, 5, 6],    // Period 5: Players 3-7
-        [7, 8, 9, 0, 1],    // Period 6: Players 8-10,1-2
-        [3, 4, 5, 6, 7],    // Period 7: Players 4-8
-        [8, 9, 0, 1, 2]     // Period 8: Players 9-10,1-3
-      ],
-      9: [ // 9 players: each plays 4-5 periods
-        [0, 1, 2, 3, 4],    // Period 1: Players 1-5
-        [5, 6, 7, 8, 0],    // Period 2: Players 6-9,1
-        [1, 2, 3, 4, 5],    // Period 3: Players 2-6
-        [6, 7, 8, 0, 1],    // Period 4: Players 7-9,1-2
-        [2, 3, 4, 5, 6],    // Period 5: Players 3-7
-        [7, 8, 0, 1, 2],    // Period 6: Players 8-9,1-3
-        [3, 4, 5, 6, 7],    // Period 7: Players 4-8
-        [4, 5, 6, 7, 8]     // Period 8: Players 5-9
-      ],
-      8: [ // 8 players: each plays 5 out of 8 periods
-        [0, 1, 2, 3, 4],    // Period 1: Players 1-5
-        [5, 6, 7, 0, 1],    // Period 2: Players 6-8,1-2
-        [2, 3, 4, 5, 6],    // Period 3: Players 3-7
-        [7, 0, 1, 2, 3],    // Period 4: Players 8,1-4
-        [4, 5, 6, 7, 0],    // Period 5: Players 5-8,1
-        [1, 2, 3, 4, 5],    // Period 6: Players 2-6
-        [6, 7, 0, 1, 2],    // Period 7: Players 7-8,1-3
-        [3, 4, 5, 6, 7]     // Period 8: Players 4-8
-      ],
-      7: [ // 7 players: each plays 5-6 periods
-        [0, 1, 2, 3, 4],    // Period 1: Players 1-5
-        [5, 6, 0, 1, 2],    // Period 2: Players 6-7,1-3
-        [3, 4, 5, 6, 0],    // Period 3: Players 4-7,1
-        [1, 2, 3, 4, 5],    // Period 4: Players 2-6
-        [6, 0, 1, 2, 3],    // Period 5: Players 7,1-4
-        [4, 5, 6, 0, 1],    // Period 6: Players 5-7,1-2
-        [2, 3, 4, 5, 6],    // Period 7: Players 3-7
-        [0, 1, 2, 3, 4]     // Period 8: Players 1-5
-      ],
-      6: [ // 6 players: each plays 6-7 periods
-        [0, 1, 2, 3, 4],    // Period 1: Players 1-5
-        [5, 0, 1, 2, 3],    // Period 2: Players 6,1-4
-        [4, 5, 0, 1, 2],    // Period 3: Players 5-6,1-3
-        [3, 4, 5, 0, 1],    // Period 4: Players 4-6,1-2
-        [2, 3, 4, 5, 0],    // Period 5: Players 3-6,1
-        [1, 2, 3, 4, 5],    // Period 6: Players 2-6
-        [0, 1, 2, 3, 4],    // Period 7: Players 1-5
-        [5, 0, 1, 2, 3]     // Period 8: Players 6,1-4
-      ],
-      5: [ // 5 players: everyone plays all 8 periods
-        [0, 1, 2, 3, 4],    // Period 1: All players
-        [0, 1, 2, 3, 4],    // Period 2: All players
-        [0, 1, 2, 3, 4],    // Period 3: All players
-        [0, 1, 2, 3, 4],    // Period 4: All players
-        [0, 1, 2, 3, 4],    // Period 5: All players
-        [0, 1, 2, 3, 4],    // Period 6: All players
-        [0, 1, 2, 3, 4],    // Period 7: All players
-        [0, 1, 2, 3, 4]     // Period 8: All players
-      ]
-    };
-  }
+  return { games: games.length, players: totals };
 }
 
-function verifyFairness() {
-  const pool = getActivePool();
-  const counts = getPlayedCounts(PERIODS + 1);
-  const played = pool.map(p => counts[p.id] || 0);
-  
-  if (played.length === 0) return;
-  
-  const min = Math.min(...played);
-  const max = Math.max(...played);
-  
-  // Check basic fairness (max 1 period difference)
-  if (max - min > 1) {
-    console.error(`FAIRNESS VIOLATION: min=${min}, max=${max}`);
-    console.error('Player counts:', pool.map(p => `${p.name}: ${counts[p.id] || 0}`));
-    setStatus(`⚠️ Fairness issue detected. Please rebuild.`);
-    return;
-  }
-  
-  // STRICT CHECK: If there's unequal time, ALL TOP players must have MAX periods
-  if (max > min) {
-    const topPlayers = pool.filter(p => p.top);
-    
-    if (topPlayers.length > 0) {
-      const topCounts = topPlayers.map(p => counts[p.id] || 0);
-      const minTopCount = Math.min(...topCounts);
-      
-      // Every TOP player should have the maximum periods
-      if (minTopCount < max) {
-        console.error(`TOP PRIORITY VIOLATION: Some top players don't have max periods`);
-        console.error('Top players:', topPlayers.map(p => `${p.name}: ${counts[p.id]}`));
-        console.error('All players:', pool.map(p => `${p.name}: ${counts[p.id]}`));
-        setStatus(`⚠️ Top players should have max time. Try rebuilding again.`);
-        return;
-      }
-    }
-  }
-  
-  console.log('✓ Fairness verified:', pool.map(p => `${p.name}: ${counts[p.id] || 0}`).join(', '));
+// Season share per player (0-1): starts per game for the opening period,
+// otherwise periods played out of periods attended. Lower = owed more time.
+// Returns null when season balancing is off or there is no history yet.
+function getSeasonShares(forStarts) {
+  if (!state.seasonBalance) return null;
+  const { games, players } = getSeasonTotals();
+  if (games === 0) return null;
+  
+  const shares = {};
+  Object.entries(players).forEach(([id, t]) => {
+    if (forStarts) shares[id] = t.games ? t.starts / t.games : 0;
+    else shares[id] = t.offered ? t.periods / t.offered : 0;
+  });
+  return shares;
+}
+
+// Builds every unlocked period from the current one without touching `state`;
+// `seed` overrides the game's own
+function buildFromCurrent(seed = state.seed) {
+  return Scheduler.buildSchedule({ ...state, seed }, {
+    startPeriod: Math.max(1, state.currentPeriod),
+    season: { starts: getSeasonShares(true), periods: getSeasonShares(false) }
+  });
+}
+
+function applyBuild({ schedule, subs, seed }) {
+  editNotice = null;
+  state.schedule = schedule;
+  state.subs = subs;
+  state.lastSeed = seed;
 }
 
 function rebuildFromCurrent() {
   const start = Math.max(1, state.currentPeriod);
-  
-  for (let k = start; k <= PERIODS; k++) {
-    if (!state.locked[String(k)]) delete state.schedule[String(k)];
-  }
-  
-  // Call the appropriate builder based on mode
-  switch(state.mode) {
-    case 'sliding_fixed':
-      buildSlidingFixed(start);
-      break;
-    case 'sliding_adaptive':
-      buildSlidingAdaptive(start);
-      break;
-    case 'true_random_fair':
-      buildTrueRandomFair(start);
-      break;
-    case 'fair_optimized':
-    default:
-      buildFairOptimized(start);
-      break;
-  }
+  const result = buildFromCurrent();
+  const { issues } = result;
+  applyBuild(result);
   
   saveState();
   renderAll();
   
-  const dist = analyzeTopDistribution();
-  setStatus(`Rebuilt from Period ${start}. ${dist}`);
-}
-
-// --- Analysis Helper ---
-function analyzeTopDistribution() {
-  const topPlayers = state.players.filter(p => p.top && p.available && !p.out);
-  if (topPlayers.length < 2 || !state.topTwoCoverage) return "";
-  
-  let periodsWithOne = 0;
-  let periodsWithNone = 0;
-  let periodsWithBoth = 0;
-  
-  for (let k = 1; k <= PERIODS; k++) {
-    const lineup = state.schedule[String(k)];
-    if (!lineup) continue;
-    
-    const topCount = lineup.filter(id => topPlayers.map(p => p.id).includes(id)).length;
-    if (topCount === 1) periodsWithOne++;
-    else if (topCount === 0) periodsWithNone++;
-    else if (topCount >= 2) periodsWithBoth++;
-  }
-  
-  return `Top coverage: ${periodsWithOne}/${PERIODS} optimal`;
+  // Details are in the fairness panel; the status only flags what went wrong
+  setStatus(issues.length > 0
+    ? `Rebuilt from Period ${start}. ⚠️ ${issues.join(" ")}`
+    : `Rebuilt from Period ${start}. See the fairness report for details.`);
 }
 
 // --- UI Rendering ---
@@ -621,8 +335,14 @@ function renderAll() {
   renderPeriodSelect();
   renderSettings();
   renderPlayers();
+  renderPairRules();
   renderLineups();
   renderMinutes();
+  renderFairness();
+  renderSeason();
+  renderClock();
+  renderTeams();
+  renderUndoButtons();
 }
 
 function renderPeriodSelect() {
@@ -630,6 +350,7 @@ function renderPeriodSelect() {
   if (!sel) return;
   sel.innerHTML = "";
   
+  const PERIODS = getPeriods();
   for (let i = 1; i <= PERIODS; i++) {
     const opt = document.createElement("option");
     opt.value = i;
@@ -640,13 +361,25 @@ function renderPeriodSelect() {
   sel.value = state.currentPeriod;
   sel.onchange = () => {
     state.currentPeriod = Number(sel.value);
+    state.clock = defaultClock();
     saveState();
     renderLineups();
+    renderClock();
   };
 }
 
 function renderSettings() {
-  const bind = (id, key) => {
+  const periodsSel = document.getElementById("periods");
+  if (periodsSel && periodsSel.options.length === 0) {
+    for (let i = 2; i <= MAX_PERIODS; i++) {
+      const opt = document.createElement("option");
+      opt.value = i;
+      opt.textContent = i;
+      periodsSel.appendChild(opt);
+    }
+  }
+  
+  const bind = (id, key, parse = (v) => v) => {
     const el = document.getElementById(id);
     if (!el) return;
     
@@ -661,38 +394,167 @@ function renderSettings() {
     } else {
       el.value = state[key];
       el.onchange = () => { 
-        state[key] = el.value; 
-        saveState(); 
-        if (key === "gameMode") {
-          // Clear schedule when switching game modes
-          state.schedule = {};
-          state.locked = {};
-          state.currentPeriod = 1;
-          updateTitle();
+        const value = parse(el.value);
+        if (typeof value === "number" && !(value > 0)) {
+          el.value = state[key];
+          return;
+        }
+        // Recorded substitutions have to stay inside the period
+        if (key === "periodMinutes" && value * 60 < getLatestSubClock()) {
+          el.value = state[key];
+          setStatus(`A substitution is recorded at ${formatClock(getLatestSubClock())}; periods can't be shorter than that.`);
+          return;
         }
-        renderAll();
+        state[key] = value; 
+        if (key === "periods") trimToPeriods();
+        saveState(); 
+        if (key === "periods" && state.autoRebuild) rebuildFromCurrent();
+        else renderAll();
         if (key === "mode") updateModeDescription();
+        if (key === "mode") renderPatternSelect();
       };
     }
   };
   
-  bind("gameMode", "gameMode");
+  renderFormatSelect();
+  bind("periods", "periods", Number);
+  bind("periodMinutes", "periodMinutes", Number);
   bind("mode", "mode");
-  bind("topTwoCoverage", "topTwoCoverage");
-  bind("avoidStreaks", "avoidStreaks");
+  bind("balanceStrength", "balanceStrength");
+  bind("seasonBalance", "seasonBalance");
   bind("autoRebuild", "autoRebuild");
+  bind("seed", "seed", (v) => v.trim().slice(0, 32));
+  
+  ["maxOnStreak", "maxBenchStreak"].forEach(key => {
+    const el = document.getElementById(key);
+    if (el.options.length === 0) {
+      el.innerHTML = `<option value="0">No limit</option>` +
+        Array.from({ length: 6 }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join("");
+    }
+    el.value = state[key];
+    el.onchange = () => {
+      state[key] = Number(el.value);
+      saveState();
+      if (state.autoRebuild) rebuildFromCurrent();
+      else renderAll();
+    };
+  });
+  
+  TIERS.forEach(t => {
+    const el = document.getElementById(`cover${t}`);
+    el.max = getOnCourt();
+    el.value = state.tierCoverage[t];
+    el.onchange = () => {
+      const value = Number(el.value);
+      if (!(Number.isInteger(value) && value >= 0 && value <= getOnCourt())) {
+        el.value = state.tierCoverage[t];
+        return;
+      }
+      state.tierCoverage[t] = value;
+      saveState();
+      if (state.autoRebuild) rebuildFromCurrent();
+      else renderAll();
+    };
+  });
+  document.getElementById("seed").placeholder = state.lastSeed ? `Random (last: ${state.lastSeed})` : "Random";
   
+  renderPositionRules();
+  renderPatternSelect();
   updateModeDescription();
   updateTitle();
 }
 
+// Built-in formats first, then the saved custom ones
+function renderFormatSelect() {
+  const select = document.getElementById("gameMode");
+  select.innerHTML = FORMATS.map(f => `<option value="${f.id}">${f.name}</option>`).join("") +
+    state.formats.map(f => `<option value="${escapeHTML(f.id)}">${escapeHTML(f.name)} (${f.onCourt} on court)</option>`).join("");
+  select.value = state.gameMode;
+  select.onchange = () => {
+    applyFormat(select.value);
+    saveState();
+    renderAll();
+  };
+}
+
+// Switches format: its periods and minutes replace the current ones, and the
+// schedule starts over since lineups of another size don't carry across
+function applyFormat(id) {
+  const format = getFormat(id);
+  state.gameMode = format.id;
+  state.periods = format.periods;
+  state.periodMinutes = format.periodMinutes;
+  state.schedule = {};
+  state.locked = {};
+  state.subs = {};
+  state.currentPeriod = 1;
+  state.clock = defaultClock();
+  state.patternId = "";
+}
+
+// Min/max inputs for the current game mode's position rules
+function renderPositionRules() {
+  const div = document.getElementById("positionRules");
+  if (!div) return;
+  div.innerHTML = `<span></span><span class="label">Min</span><span class="label">Max</span>`;
+  
+  const rules = state.positionRules[state.gameMode] ||
+    (state.positionRules[state.gameMode] = JSON.parse(JSON.stringify(getFormat().positionRules)));
+  Object.entries(POSITIONS).forEach(([pos, label]) => {
+    div.insertAdjacentHTML("beforeend", `<span>${label}</span>`);
+    ["min", "max"].forEach(key => {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = 0;
+      input.max = getOnCourt();
+      input.inputMode = "numeric";
+      input.placeholder = key === "min" ? "0" : "–";
+      input.value = rules[pos] && rules[pos][key] !== undefined ? rules[pos][key] : "";
+      input.onchange = () => {
+        const value = input.value === "" ? undefined : Number(input.value);
+        if (value !== undefined && !(Number.isInteger(value) && value >= 0 && value <= getOnCourt())) {
+          renderPositionRules();
+          return;
+        }
+        rules[pos] = { ...rules[pos], [key]: value };
+        saveState();
+        if (state.autoRebuild) rebuildFromCurrent();
+        else renderAll();
+      };
+      div.appendChild(input);
+    });
+  });
+}
+
+// Drop periods past the end of the game after the period count shrinks
+function trimToPeriods() {
+  const PERIODS = getPeriods();
+  
+  Object.keys(state.schedule).forEach(k => {
+    if (Number(k) > PERIODS) delete state.schedule[k];
+  });
+  Object.keys(state.locked).forEach(k => {
+    if (Number(k) > PERIODS) delete state.locked[k];
+  });
+  Object.keys(state.subs).forEach(k => {
+    if (Number(k) > PERIODS) delete state.subs[k];
+  });
+  
+  if (state.currentPeriod > PERIODS) state.currentPeriod = PERIODS;
+}
+
+// Latest recorded substitution in any period, in seconds left on the clock
+function getLatestSubClock() {
+  return Math.max(0, ...Object.values(state.subs).flat().map(sub => sub.clock));
+}
+
 function updateTitle() {
   const title = document.querySelector("h1");
   const sub = document.querySelector(".sub");
   const onCourt = getOnCourt();
   
-  if (title) title.textContent = `${state.gameMode.toUpperCase()} Rotation Planner`;
-  if (sub) sub.textContent = `8 periods • ${onCourt} on court • Rebuild anytime`;
+  if (title) title.textContent = `${getFormat().name} Rotation Planner`;
+  if (sub) sub.textContent = `${getPeriods()} periods • ${state.periodMinutes} min • ${onCourt} on court • Rebuild anytime`;
 }
 
 function updateModeDescription() {
@@ -700,9 +562,9 @@ function updateModeDescription() {
   if (!modeSelect) return;
   
   const descriptions = {
-    "fair_optimized": "Builds period-by-period ensuring equal playing time. TOP players get priority for extra periods and better coverage.",
+    "fair_optimized": "Plans all remaining periods together with equal playing time. Top-tier players get priority for extra periods; tier minimums and lineup strength are balanced.",
     "sliding_fixed": "Uses a predetermined rotation pattern. Follows your roster order exactly - drag players to arrange positions.",
-    "sliding_adaptive": "Uses rotation pattern but automatically assigns TOP players to positions with most playing time.",
+    "sliding_adaptive": "Uses rotation pattern but automatically assigns the strongest tiers to positions with most playing time.",
     "true_random_fair": "Completely random lineups each period while maintaining equal playing time. Maximum variety."
   };
   
@@ -739,11 +601,14 @@ function renderPlayers() {
   
   let summaryHTML = `<div style="margin-bottom: 8px; font-size: 10px;">`;
   summaryHTML += `<strong>Playing (${activePlayers.length}):</strong> `;
-  summaryHTML += activePlayers.map(p => p.name + (p.top ? " ★" : "")).join(", ");
+  summaryHTML += activePlayers.map(p => {
+    const span = getWindowLabel(p);
+    return `${escapeHTML(p.name)} ${TIER_LABELS[p.skill]}` + (span ? ` (${span})` : "");
+  }).join(", ");
   
   if (inactivePlayers.length > 0) {
     summaryHTML += `<br><strong>Not available (${inactivePlayers.length}):</strong> `;
-    summaryHTML += inactivePlayers.map(p => p.name).join(", ");
+    summaryHTML += inactivePlayers.map(p => escapeHTML(p.name)).join(", ");
   }
   summaryHTML += `</div>`;
   printSummary.innerHTML = summaryHTML;
@@ -781,16 +646,6 @@ function renderPlayers() {
       cb.type = "checkbox";
       cb.checked = !!p[key];
       cb.onclick = () => {
-        // Special handling for TOP checkbox - limit to 2
-        if (key === "top" && cb.checked) {
-          const currentTopCount = state.players.filter(pl => pl.top).length;
-          if (currentTopCount >= 2) {
-            cb.checked = false;
-            setStatus("⚠️ Maximum 2 top players allowed");
-            return;
-          }
-        }
-        
         p[key] = cb.checked;
         saveState();
         if (state.autoRebuild) rebuildFromCurrent();
@@ -800,11 +655,35 @@ function renderPlayers() {
       return label;
     };
     
-    row.appendChild(makePill("Top", "top"));
+    // Skill tier: 3 is strongest
+    const skillSelect = document.createElement("select");
+    skillSelect.className = "skill-select";
+    skillSelect.title = "Skill tier";
+    skillSelect.innerHTML = TIERS.map(t => `<option value="${t}">${TIER_LABELS[t]}</option>`).join("");
+    skillSelect.value = p.skill;
+    skillSelect.onchange = () => {
+      p.skill = Number(skillSelect.value);
+      saveState();
+      if (state.autoRebuild) rebuildFromCurrent();
+      else renderAll();
+    };
+    row.appendChild(skillSelect);
     row.appendChild(makePill("Avail", "available"));
     row.appendChild(makePill("Out", "out"));
     
-    // 4. DELETE BUTTON
+    // 4. Details toggle (availability window)
+    const detailsBtn = document.createElement("button");
+    detailsBtn.className = "details-btn";
+    detailsBtn.textContent = getWindowLabel(p) || "⋯";
+    detailsBtn.title = "Arrival, departure and positions";
+    detailsBtn.onclick = () => {
+      if (expandedPlayers.has(p.id)) expandedPlayers.delete(p.id);
+      else expandedPlayers.add(p.id);
+      renderPlayers();
+    };
+    row.appendChild(detailsBtn);
+    
+    // 5. DELETE BUTTON
     const deleteBtn = document.createElement("button");
     deleteBtn.className = "delete-btn";
     deleteBtn.innerHTML = "✕";
@@ -813,11 +692,15 @@ function renderPlayers() {
       e.stopPropagation();
       if (confirm(`Delete ${p.name}?`)) {
         state.players = state.players.filter(player => player.id !== p.id);
+        state.pairRules = state.pairRules.filter(r => r.a !== p.id && r.b !== p.id);
         
         // Remove from all schedules
         Object.keys(state.schedule).forEach(period => {
           state.schedule[period] = state.schedule[period].filter(id => id !== p.id);
         });
+        Object.keys(state.subs).forEach(period => {
+          state.subs[period] = state.subs[period].filter(sub => sub.in !== p.id && sub.out !== p.id);
+        });
         
         saveState();
         if (state.autoRebuild) rebuildFromCurrent();
@@ -826,50 +709,465 @@ function renderPlayers() {
     };
     row.appendChild(deleteBtn);
     
+    if (expandedPlayers.has(p.id)) row.appendChild(renderPlayerDetails(p));
+    
     div.appendChild(row);
   });
   
   initDragAndDrop();
 }
 
-// --- Custom Touch/Mouse Drag Logic ---
-function initDragAndDrop() {
-  const list = document.getElementById("players");
-  let draggingEle = null;
-  let isDragging = false;
-  let ghost = null;
-  
-  const handles = list.querySelectorAll('.drag-handle');
-  
-  const onStart = (e) => {
-    const touch = e.touches ? e.touches[0] : e;
-    const target = e.target.closest('.player');
-    if(!target) return;
-    
-    e.preventDefault();
-    isDragging = true;
-    draggingEle = target;
-    
-    ghost = draggingEle.cloneNode(true);
-    ghost.classList.add('dragging-ghost');
-    const inputs = ghost.querySelectorAll('input');
-    inputs.forEach(i => i.value = i.value);
-    document.body.appendChild(ghost);
+// Players whose detail panel is open
+const expandedPlayers = new Set();
+
+// "P3–6" for a player with an arrival/departure window, "" for the whole game
+function getWindowLabel(p) {
+  if (!p.fromPeriod && !p.untilPeriod) return "";
+  return `P${p.fromPeriod || 1}–${p.untilPeriod || getPeriods()}`;
+}
+
+function renderPlayerDetails(p) {
+  const PERIODS = getPeriods();
+  const details = document.createElement("div");
+  details.className = "player-details";
+  
+  const makeSelect = (lbl, key, firstLabel, lastLabel, fallback) => {
+    const field = document.createElement("label");
+    field.className = "field";
+    field.innerHTML = `<span class="label">${lbl}</span>`;
     
-    const rect = draggingEle.getBoundingClientRect();
-    ghost.style.top = `${rect.top}px`;
-    ghost.style.left = `${rect.left}px`;
-    ghost.style.width = `${rect.width}px`;
+    const sel = document.createElement("select");
+    for (let k = 1; k <= PERIODS; k++) {
+      const opt = document.createElement("option");
+      opt.value = k;
+      opt.textContent = k === fallback ? (k === 1 ? firstLabel : lastLabel) : `Period ${k}`;
+      sel.appendChild(opt);
+    }
+    sel.value = p[key] || fallback;
     
-    draggingEle.classList.add('dragging');
+    sel.onchange = () => {
+      const value = Number(sel.value);
+      p[key] = value === fallback ? null : value;
+      
+      // Keep the window the right way round
+      const from = p.fromPeriod || 1;
+      const until = p.untilPeriod || PERIODS;
+      if (from > until) {
+        if (key === "fromPeriod") p.untilPeriod = value === PERIODS ? null : value;
+        else p.fromPeriod = value === 1 ? null : value;
+      }
+      
+      saveState();
+      if (state.autoRebuild) rebuildFromCurrent();
+      else renderAll();
+    };
+    field.appendChild(sel);
+    return field;
   };
   
-  const onMove = (e) => {
-    if (!isDragging || !ghost) return;
-    const touch = e.touches ? e.touches[0] : e;
-    
-    ghost.style.top = `${touch.clientY - 20}px`;
-    ghost.style.left = `${touch.clientX}px`;
+  details.appendChild(makeSelect("Arrives for", "fromPeriod", "Start of game", "", 1));
+  details.appendChild(makeSelect("Plays through", "untilPeriod", "", "End of game", PERIODS));
+  
+  const positions = document.createElement("div");
+  positions.className = "positions";
+  Object.entries(POSITIONS).forEach(([pos, label]) => {
+    const pill = document.createElement("label");
+    pill.className = "pill";
+    pill.innerHTML = `<span class="badge">${label}</span>`;
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.checked = p.positions.includes(pos);
+    cb.onclick = () => {
+      p.positions = Object.keys(POSITIONS).filter(key => key === pos ? cb.checked : p.positions.includes(key));
+      saveState();
+      if (state.autoRebuild) rebuildFromCurrent();
+      else renderAll();
+    };
+    pill.appendChild(cb);
+    positions.appendChild(pill);
+  });
+  details.appendChild(positions);
+  return details;
+}
+
+// --- Pair Rules Editor ---
+function renderPairRules() {
+  const div = document.getElementById("pairRules");
+  if (!div) return;
+  div.innerHTML = "";
+  
+  if (state.pairRules.length === 0) {
+    div.innerHTML = `<div class="muted">No pair rules.</div>`;
+    return;
+  }
+  
+  const changed = () => {
+    saveState();
+    if (state.autoRebuild) rebuildFromCurrent();
+    else renderAll();
+  };
+  
+  state.pairRules.forEach(r => {
+    const row = document.createElement("div");
+    row.className = "pair-rule";
+    
+    const makeSelect = (options, value, onchange) => {
+      const sel = document.createElement("select");
+      sel.innerHTML = options.map(([v, label]) => `<option value="${escapeHTML(v)}">${escapeHTML(label)}</option>`).join("");
+      sel.value = value;
+      sel.onchange = () => onchange(sel.value);
+      return sel;
+    };
+    const players = state.players.map(p => [p.id, p.name]);
+    
+    row.appendChild(makeSelect(players, r.a, (v) => {
+      if (v === r.b) r.b = r.a;
+      r.a = v;
+      changed();
+    }));
+    row.appendChild(makeSelect(Object.entries(PAIR_TYPES), r.type, (v) => { r.type = v; changed(); }));
+    row.appendChild(makeSelect(players, r.b, (v) => {
+      if (v === r.a) r.a = r.b;
+      r.b = v;
+      changed();
+    }));
+    
+    const periods = document.createElement("input");
+    periods.type = "number";
+    periods.min = 1;
+    periods.max = getPeriods();
+    periods.inputMode = "numeric";
+    periods.title = "Periods together";
+    periods.value = r.periods;
+    periods.hidden = r.type !== "min";
+    periods.onchange = () => {
+      const value = Number(periods.value);
+      if (Number.isInteger(value) && value >= 1 && value <= getPeriods()) r.periods = value;
+      changed();
+    };
+    row.appendChild(periods);
+    
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "delete-btn";
+    removeBtn.textContent = "✕";
+    removeBtn.title = "Remove rule";
+    removeBtn.onclick = () => {
+      state.pairRules = state.pairRules.filter(rule => rule !== r);
+      changed();
+    };
+    row.appendChild(removeBtn);
+    
+    div.appendChild(row);
+  });
+}
+
+document.getElementById("addPairRuleBtn").onclick = () => {
+  if (state.players.length < 2) {
+    setStatus("Add at least two players first.");
+    return;
+  }
+  state.pairRules.push({ id: uid(), a: state.players[0].id, b: state.players[1].id, type: "together", periods: 2 });
+  saveState();
+  renderPairRules();
+};
+
+// --- Rotation Pattern Editor ---
+const patternDialog = document.getElementById("patternDialog");
+let patternDraft = null; // { id, grid } being edited; id is null for a new pattern
+
+function renderPatternSelect() {
+  const field = document.getElementById("patternField");
+  if (!field) return;
+  field.hidden = !state.mode.startsWith("sliding");
+  
+  const numPlayers = getActivePool().length;
+  const select = document.getElementById("pattern");
+  const options = [`<option value="">Default (${numPlayers} players)</option>`];
+  state.patterns.forEach(p => {
+    const fits = patternFits(p, numPlayers);
+    if (fits || p.id === state.patternId) {
+      options.push(`<option value="${escapeHTML(p.id)}">${escapeHTML(p.name)}${fits ? "" : " (doesn't fit roster)"}</option>`);
+    }
+  });
+  select.innerHTML = options.join("");
+  select.value = state.patternId;
+  select.onchange = () => {
+    state.patternId = select.value;
+    saveState();
+    if (state.autoRebuild) rebuildFromCurrent();
+    else renderAll();
+  };
+}
+
+function openPatternDialog() {
+  const numPlayers = getActivePool().length;
+  if (numPlayers <= getOnCourt()) {
+    setStatus(`Patterns need more than ${getOnCourt()} active players.`);
+    return;
+  }
+  
+  const custom = state.patterns.find(p => p.id === state.patternId && patternFits(p, numPlayers));
+  const grid = custom ? custom.grid : getDefaultPattern(numPlayers);
+  patternDraft = { id: custom ? custom.id : null, grid: grid.map(positions => positions.slice()) };
+  
+  document.getElementById("patternName").value = custom ? custom.name : `${numPlayers} players ${getFormat().name}`;
+  document.getElementById("patternInfo").textContent =
+    `${numPlayers} players, ${getOnCourt()} on court, ${getPeriods()} periods. Rows follow the roster order.`;
+  document.getElementById("deletePatternBtn").hidden = !custom;
+  renderPatternGrid();
+  patternDialog.showModal();
+}
+
+// Positions down, periods across; totals show each position's periods
+function renderPatternGrid() {
+  const pool = getActivePool();
+  const { totals, errors } = checkPattern(patternDraft.grid, pool.length, getOnCourt());
+  const table = document.getElementById("patternGrid");
+  
+  let html = `<thead><tr><th>Pos</th>`;
+  patternDraft.grid.forEach((_, k) => html += `<th>${k + 1}</th>`);
+  html += `<th>Total</th></tr></thead><tbody>`;
+  pool.forEach((p, pos) => {
+    html += `<tr><td>${pos + 1}. ${escapeHTML(p.name)}</td>`;
+    patternDraft.grid.forEach((positions, k) => {
+      html += `<td><input type="checkbox" data-period="${k}" data-pos="${pos}"${positions.includes(pos) ? " checked" : ""} /></td>`;
+    });
+    html += `<td>${totals[pos]}</td></tr>`;
+  });
+  html += `<tr><td>On court</td>`;
+  patternDraft.grid.forEach(positions => html += `<td>${positions.length}</td>`);
+  html += `<td></td></tr></tbody>`;
+  table.innerHTML = html;
+  
+  document.getElementById("patternErrors").textContent = errors.join(" ");
+  document.getElementById("savePatternBtn").disabled = errors.length > 0;
+}
+
+document.getElementById("patternGrid").onchange = (e) => {
+  const cb = e.target;
+  if (!cb.dataset.period) return;
+  const positions = patternDraft.grid[Number(cb.dataset.period)];
+  const pos = Number(cb.dataset.pos);
+  patternDraft.grid[Number(cb.dataset.period)] = cb.checked
+    ? [...positions, pos].sort((a, b) => a - b)
+    : positions.filter(x => x !== pos);
+  renderPatternGrid();
+};
+
+document.getElementById("editPatternBtn").onclick = openPatternDialog;
+
+document.getElementById("savePatternBtn").onclick = () => {
+  const name = document.getElementById("patternName").value.trim() || "Custom pattern";
+  const pattern = {
+    id: patternDraft.id || uid(),
+    name,
+    players: getActivePool().length,
+    onCourt: getOnCourt(),
+    periods: getPeriods(),
+    grid: patternDraft.grid
+  };
+  state.patterns = state.patterns.filter(p => p.id !== pattern.id).concat(pattern);
+  state.patternId = pattern.id;
+  saveState();
+  rebuildFromCurrent();
+  setStatus(`Using pattern "${name}".`);
+};
+
+document.getElementById("deletePatternBtn").onclick = () => {
+  if (!confirm("Delete this pattern?")) return;
+  state.patterns = state.patterns.filter(p => p.id !== patternDraft.id);
+  state.patternId = "";
+  patternDialog.close();
+  saveState();
+  renderAll();
+  setStatus("Pattern deleted.");
+};
+
+// --- Game Format Editor ---
+// Edits the current custom format, or starts a new one from the current settings
+const formatDialog = document.getElementById("formatDialog");
+let formatDraftId = null; // Custom format being edited; null for a new one
+
+function openFormatDialog() {
+  const current = getFormat();
+  const custom = state.formats.includes(current) ? current : null;
+  formatDraftId = custom ? custom.id : null;
+  
+  document.getElementById("formatTitle").textContent = custom ? "Edit format" : "New format";
+  document.getElementById("formatName").value = custom ? custom.name : "";
+  document.getElementById("formatOnCourt").value = current.onCourt;
+  document.getElementById("formatPeriods").value = getPeriods();
+  document.getElementById("formatMinutes").value = state.periodMinutes;
+  document.getElementById("deleteFormatBtn").hidden = !custom;
+  formatDialog.showModal();
+}
+
+document.getElementById("editFormatBtn").onclick = openFormatDialog;
+
+document.getElementById("saveFormatBtn").onclick = (e) => {
+  const name = document.getElementById("formatName").value.trim();
+  const onCourt = Number(document.getElementById("formatOnCourt").value);
+  const periods = Number(document.getElementById("formatPeriods").value);
+  const periodMinutes = Number(document.getElementById("formatMinutes").value);
+  if (!name) {
+    e.preventDefault();
+    setStatus("Give the format a name.");
+    return;
+  }
+  if (!(Number.isInteger(onCourt) && onCourt >= 2 && onCourt <= MAX_ON_COURT) ||
+      !(Number.isInteger(periods) && periods >= 2 && periods <= MAX_PERIODS) || !(periodMinutes > 0)) {
+    e.preventDefault();
+    setStatus(`Formats need 2–${MAX_ON_COURT} on court, 2–${MAX_PERIODS} periods and some minutes per period.`);
+    return;
+  }
+  
+  // A new format starts from the current format's position rules
+  const format = {
+    id: formatDraftId || uid(),
+    name,
+    onCourt,
+    periods,
+    periodMinutes,
+    positionRules: formatDraftId ? getFormat(formatDraftId).positionRules : JSON.parse(JSON.stringify(getPositionRules()))
+  };
+  state.formats = state.formats.filter(f => f.id !== format.id).concat(format);
+  applyFormat(format.id);
+  saveState();
+  renderAll();
+  setStatus(`Using format "${name}".`);
+};
+
+document.getElementById("deleteFormatBtn").onclick = () => {
+  if (!confirm("Delete this format?")) return;
+  state.formats = state.formats.filter(f => f.id !== formatDraftId);
+  delete state.positionRules[formatDraftId];
+  applyFormat("4v4");
+  formatDialog.close();
+  saveState();
+  renderAll();
+  setStatus("Format deleted. Switched to 4v4.");
+};
+
+// --- Candidate Schedules ---
+// Several builds from the current period, each with its own seed, scored side by
+// side; nothing changes until the coach applies one
+const candidatesDialog = document.getElementById("candidatesDialog");
+let candidates = []; // [{ result, score }] in display order, best first
+
+function generateCandidates() {
+  const count = Number(document.getElementById("candidateCount").value);
+  const base = state.seed || String(Math.floor(Math.random() * 1000000));
+  
+  // Sliding modes follow a pattern rather than the seed, so builds can repeat; only the first of each is kept
+  const seen = new Set();
+  candidates = [];
+  for (let i = 0; i < count; i++) {
+    const result = buildFromCurrent(`${base}-${i + 1}`);
+    const key = JSON.stringify(result.schedule);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    candidates.push({ result, score: Scheduler.scoreSchedule({ ...state, schedule: result.schedule, subs: result.subs }) });
+  }
+  const repeats = count - candidates.length;
+  const note = document.getElementById("candidatesNote");
+  note.textContent = candidates.length === 1
+    ? "Every build came out the same: this mode doesn't vary between builds. Try \"Fair time optimized\" or \"True random\" for options."
+    : `${repeats} of ${count} builds repeated an earlier option and were left out.`;
+  note.hidden = repeats === 0;
+
+  // Fair first, then fewest broken rules, best top coverage, fewest streak breaks, most variety
+  candidates.sort((a, b) => (b.score.fair - a.score.fair) ||
+    (a.score.violations - b.score.violations) ||
+    (b.score.covered - a.score.covered) ||
+    (a.score.streakBreaks - b.score.streakBreaks) ||
+    (b.score.variety - a.score.variety));
+  renderCandidates();
+}
+
+function renderCandidates() {
+  const div = document.getElementById("candidates");
+  const start = Math.max(1, state.currentPeriod);
+  
+  div.innerHTML = candidates.map(({ result, score }, i) => {
+    const lineups = [];
+    for (let k = start; k <= getPeriods(); k++) {
+      const lineup = result.schedule[String(k)] || [];
+      lineups.push(`<div class="candidate-period${state.locked[String(k)] ? " locked" : ""}">P${k}: ${lineup.map(nameHTML).join(", ")}</div>`);
+    }
+    return `<div class="candidate">
+      <div class="candidate-head"><strong>Option ${i + 1}</strong>${i === 0 ? ' <span class="badge">Best</span>' : ""}</div>
+      <div class="candidate-score">
+        <div>${score.fair ? "✓ Fair" : "⚠️ Not fair"} (spread ${formatPeriods(score.spread)})</div>
+        <div>Top coverage: ${score.covered}/${score.periods}</div>
+        <div>Streak breaks: ${score.streakBreaks}</div>
+        <div>Rule breaks: ${score.violations}</div>
+        <div>Variety: ${Math.round(score.variety * 100)}%</div>
+      </div>
+      ${lineups.join("")}
+      <div class="small">Seed ${escapeHTML(result.seed)}</div>
+      <button type="button" class="smallbtn" data-candidate="${i}">Use this</button>
+    </div>`;
+  }).join("");
+}
+
+document.getElementById("compareBtn").onclick = () => {
+  candidatesDialog.showModal();
+  generateCandidates();
+};
+
+document.getElementById("generateCandidatesBtn").onclick = generateCandidates;
+
+document.getElementById("candidates").onclick = (e) => {
+  const btn = e.target.closest("[data-candidate]");
+  if (!btn) return;
+  const index = Number(btn.dataset.candidate);
+  const { result } = candidates[index];
+  
+  applyBuild(result);
+  saveState();
+  renderAll();
+  candidatesDialog.close();
+  setStatus(`Applied option ${index + 1} (seed ${result.seed}).`);
+};
+
+// --- Custom Touch/Mouse Drag Logic ---
+function initDragAndDrop() {
+  const list = document.getElementById("players");
+  let draggingEle = null;
+  let isDragging = false;
+  let ghost = null;
+  
+  const handles = list.querySelectorAll('.drag-handle');
+  
+  const onStart = (e) => {
+    const touch = e.touches ? e.touches[0] : e;
+    const target = e.target.closest('.player');
+    if(!target) return;
+    
+    e.preventDefault();
+    isDragging = true;
+    draggingEle = target;
+    
+    ghost = draggingEle.cloneNode(true);
+    ghost.classList.add('dragging-ghost');
+    const inputs = ghost.querySelectorAll('input');
+    inputs.forEach(i => i.value = i.value);
+    document.body.appendChild(ghost);
+    
+    const rect = draggingEle.getBoundingClientRect();
+    ghost.style.top = `${rect.top}px`;
+    ghost.style.left = `${rect.left}px`;
+    ghost.style.width = `${rect.width}px`;
+    
+    draggingEle.classList.add('dragging');
+  };
+  
+  const onMove = (e) => {
+    if (!isDragging || !ghost) return;
+    const touch = e.touches ? e.touches[0] : e;
+    
+    ghost.style.top = `${touch.clientY - 20}px`;
+    ghost.style.left = `${touch.clientX}px`;
     
     const swapTarget = document.elementFromPoint(touch.clientX, touch.clientY);
     if (!swapTarget) return;
@@ -930,8 +1228,25 @@ function renderLineups() {
   if (!div) return;
   div.innerHTML = "";
   
-  const activePool = getActivePool().map(p => p.id);
-  const topPlayerIds = state.players.filter(p => p.top).map(p => p.id);
+  const topPlayerIds = state.players.filter(isTop).map(p => p.id);
+  const PERIODS = getPeriods();
+  
+  // Names are tappable for swapping (see onLineupTap)
+  const nameTag = (id, k) => {
+    const name = nameHTML(id);
+    const positions = (getPlayer(id)?.positions || []).map(pos => POSITION_SHORT[pos]).join("/");
+    const label = (topPlayerIds.includes(id) ? `<strong>${name}</strong>` : name) +
+      (positions ? ` <small class="pos">${positions}</small>` : "");
+    const picked = swapPick && swapPick.period === k && swapPick.id === id ? " picked" : "";
+    return `<span class="name${picked}" data-period="${k}" data-id="${escapeHTML(id)}">${label}</span>`;
+  };
+  div.onclick = onLineupTap;
+  
+  const streakBreaks = getScheduleStreakBreaks();
+  const deficits = getPairDeficits();
+  if (deficits.length > 0) {
+    div.innerHTML = `<div class="rule-warning">⚠️ ${escapeHTML(deficits.map(formatPairDeficit).join("; "))}</div>`;
+  }
   
   for (let k = 1; k <= PERIODS; k++) {
     const sk = String(k);
@@ -952,28 +1267,172 @@ function renderLineups() {
       continue;
     }
     
-    const onCourtNames = lineup.map(id => {
-      const name = getName(id);
-      const isTop = topPlayerIds.includes(id);
-      return isTop ? `<strong>${name}</strong>` : name;
-    }).join(", ");
+    const onCourtNames = lineup.map(id => nameTag(id, k)).join(", ");
     
     wrap.innerHTML += `<div class="on-court">${onCourtNames}</div>`;
     
-    const benchIds = activePool.filter(id => !lineup.includes(id));
+    const benchIds = getPeriodPool(k).map(p => p.id).filter(id => !lineup.includes(id));
     if (benchIds.length > 0) {
-      const benchNames = benchIds.map(id => {
-        const name = getName(id);
-        const isTop = topPlayerIds.includes(id);
-        return isTop ? `<strong>${name}</strong>` : name;
-      }).join(", ");
+      const benchNames = benchIds.map(id => nameTag(id, k)).join(", ");
       wrap.innerHTML += `<div class="bench"><strong>Sitting:</strong> ${benchNames}</div>`;
     }
     
+    const broken = [...getPairViolations(lineup, getPeriodPool(k)), ...(streakBreaks[k] || [])];
+    if (broken.length > 0) {
+      wrap.classList.add("breaks-rule");
+      wrap.innerHTML += `<div class="rule-warning">⚠️ ${escapeHTML(broken.join("; "))}</div>`;
+    }
+    
+    wrap.appendChild(renderSubs(k));
+    if (editNotice && editNotice.period === k) wrap.appendChild(renderEditNotice());
+    
     div.appendChild(wrap);
   }
 }
 
+// --- Manual Lineup Editing ---
+let swapPick = null;   // First tapped player: { period, id }
+let editNotice = null; // Shown under the last edited period: { period, warnings }
+
+// Tap a player, then one on the other side (court/bench) of the same period to swap them
+function onLineupTap(e) {
+  const tag = e.target.closest(".name");
+  if (!tag || liveState) return;
+  
+  const period = Number(tag.dataset.period);
+  const id = tag.dataset.id;
+  const lineup = state.schedule[String(period)];
+  
+  const sameTap = swapPick && swapPick.period === period && swapPick.id === id;
+  const pairs = swapPick && swapPick.period === period && lineup.includes(swapPick.id) !== lineup.includes(id);
+  
+  if (!pairs) {
+    swapPick = sameTap ? null : { period, id };
+    renderLineups();
+    return;
+  }
+  
+  const outId = lineup.includes(id) ? id : swapPick.id;
+  const inId = outId === id ? swapPick.id : id;
+  swapPick = null;
+  swapPlayers(period, outId, inId);
+}
+
+function swapPlayers(period, outId, inId) {
+  const sk = String(period);
+  const previous = state.schedule[sk];
+  state.schedule[sk] = previous.map(pid => pid === outId ? inId : pid);
+  
+  if (!getFinalLineup(period)) {
+    state.schedule[sk] = previous;
+    setStatus("Remove this period's substitutions before editing it.");
+    renderLineups();
+    return;
+  }
+  
+  // Hand-made lineups are kept on rebuild
+  state.locked[sk] = true;
+  editNotice = { period, warnings: getEditWarnings(period) };
+  saveState();
+  renderAll();
+  setStatus(`Period ${period}: ${getName(inId)} in for ${getName(outId)}. Period locked.`);
+}
+
+function getEditWarnings(period) {
+  const warnings = checkFairness().map(issue => issue.message);
+  const lineup = state.schedule[String(period)];
+  if (getCoverageShortfall(lineup, getPeriodPool(period)) > 0) {
+    warnings.push(`Tier minimums not met in period ${period}.`);
+  }
+  
+  warnings.push(...getPairViolations(lineup, getPeriodPool(period)).map(msg => `Period ${period}: ${msg}.`));
+  
+  const positions = getPositionViolations(lineup, getPeriodPool(period));
+  if (positions.length > 0) {
+    warnings.push(`Period ${period} positions: ${positions.map(v => v.message).join("; ")}.`);
+  }
+  
+  // A swap changes the runs into the next period too
+  const streaks = getScheduleStreakBreaks();
+  [period, period + 1].forEach(k => {
+    if (streaks[k]) warnings.push(`Period ${k}: ${streaks[k].join("; ")}.`);
+  });
+  
+  return warnings;
+}
+
+function renderEditNotice() {
+  const box = document.createElement("div");
+  box.className = "edit-notice edit-only no-print";
+  box.innerHTML = editNotice.warnings.length > 0
+    ? `<ul>${editNotice.warnings.map(w => `<li>⚠️ ${escapeHTML(w)}</li>`).join("")}</ul>`
+    : `<div>✓ No rules broken.</div>`;
+  
+  const buttons = document.createElement("div");
+  buttons.className = "btn-group";
+  
+  const rebalanceBtn = document.createElement("button");
+  rebalanceBtn.className = "smallbtn";
+  rebalanceBtn.textContent = "Rebalance unlocked periods";
+  rebalanceBtn.onclick = rebuildFromCurrent;
+  buttons.appendChild(rebalanceBtn);
+  
+  const dismissBtn = document.createElement("button");
+  dismissBtn.className = "secondary smallbtn";
+  dismissBtn.textContent = "Dismiss";
+  dismissBtn.onclick = () => {
+    editNotice = null;
+    renderLineups();
+  };
+  buttons.appendChild(dismissBtn);
+  
+  box.appendChild(buttons);
+  return box;
+}
+
+// Substitution log for a period, with controls to add or remove entries
+function renderSubs(period) {
+  const box = document.createElement("div");
+  box.className = "subs";
+  
+  getSubs(period).forEach(sub => {
+    const row = document.createElement("div");
+    row.className = "sub-row";
+    const reason = sub.reason ? ` (${EXIT_REASONS[sub.reason] || escapeHTML(sub.reason)})` : "";
+    row.innerHTML = `<span>${formatClock(sub.clock)} — ${nameHTML(sub.in)} in, ${nameHTML(sub.out)} out${reason}</span>`;
+    
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "delete-btn no-print edit-only";
+    removeBtn.innerHTML = "✕";
+    removeBtn.title = "Remove substitution";
+    removeBtn.onclick = () => removeSub(period, sub);
+    row.appendChild(removeBtn);
+    
+    box.appendChild(row);
+  });
+  
+  const actions = document.createElement("div");
+  actions.className = "btn-group no-print edit-only";
+  
+  const addBtn = document.createElement("button");
+  addBtn.className = "secondary smallbtn";
+  addBtn.textContent = "+ Sub";
+  addBtn.onclick = () => openSubDialog(period);
+  actions.appendChild(addBtn);
+  
+  // Injury or foul-out while the period is being played
+  if (period === state.currentPeriod) {
+    const exitBtn = document.createElement("button");
+    exitBtn.className = "danger smallbtn";
+    exitBtn.textContent = "Exit now";
+    exitBtn.onclick = () => openSubDialog(period, true);
+    actions.appendChild(exitBtn);
+  }
+  
+  box.appendChild(actions);
+  return box;
+}
+
 function renderMinutes() {
   const div = document.getElementById("minutes");
   if (!div) return;
@@ -983,21 +1442,99 @@ function renderMinutes() {
     return;
   }
   
+  const PERIODS = getPeriods();
   const counts = getPlayedCounts(PERIODS + 1);
+  const seconds = getPlayedSeconds(PERIODS + 1);
   const rows = state.players.slice().sort((a,b) => a.name.localeCompare(b.name));
   
-  let html = `<table class="table"><thead><tr><th>Player</th><th>Periods</th></tr></thead><tbody>`;
+  let html = `<table class="table"><thead><tr><th>Player</th><th>Periods</th><th>Minutes</th></tr></thead><tbody>`;
   
   rows.forEach(p => {
     const periodsPlayed = counts[p.id] || 0;
     const statusBadges = [
-      p.top ? '<span class="badge">TOP</span>' : '',
+      `<span class="badge">${TIER_LABELS[p.skill]}</span>`,
       !p.available ? '<span class="badge">(N/A)</span>' : ''
     ].filter(Boolean).join(' ');
     
     html += `<tr>
-      <td>${p.name} ${statusBadges}</td>
-      <td>${periodsPlayed}</td>
+      <td>${escapeHTML(p.name)} ${statusBadges}</td>
+      <td>${formatPeriods(periodsPlayed)}</td>
+      <td>${formatClock(seconds[p.id] || 0)}</td>
+    </tr>`;
+  });
+  
+  html += `</tbody></table>`;
+  div.innerHTML = html;
+}
+
+// Fairness report: spread, time against fair share, streaks, top coverage and broken rules
+function renderFairness() {
+  const div = document.getElementById("fairness");
+  if (!div) return;
+  
+  if (Object.keys(state.schedule).length === 0) {
+    div.innerHTML = '<div class="hint">Build a schedule to see the report.</div>';
+    return;
+  }
+  
+  const { spread, players, coverage, violations } = getFairnessReport();
+  const half = getPeriodSeconds() / 2;
+  const signed = (diff) => Math.abs(diff) < 1 ? "—" : `${diff > 0 ? "+" : "−"}${formatClock(Math.abs(diff))}`;
+  
+  let html = `<div class="fairness-summary ${spread.fair ? "" : "bad"}">
+    ${spread.fair ? "✓" : "⚠️"} Spread: ${formatPeriods(spread.min)}–${formatPeriods(spread.max)} periods
+    ${spread.fair ? "(within one period)" : "(more than one period apart)"}
+  </div>`;
+  
+  html += `<table class="table"><thead><tr><th>Player</th><th>Periods</th><th>vs fair share</th><th>Longest on</th><th>Longest bench</th></tr></thead><tbody>`;
+  players.slice().sort((a, b) => a.diff - b.diff).forEach(p => {
+    const cls = p.diff > half ? "over" : p.diff < -half ? "under" : "";
+    html += `<tr>
+      <td>${escapeHTML(p.name)}</td>
+      <td>${formatPeriods(p.periods)}</td>
+      <td class="${cls}">${signed(p.diff)}</td>
+      <td>${p.longestOn}</td>
+      <td>${p.longestBench}</td>
+    </tr>`;
+  });
+  html += `</tbody></table>`;
+  
+  html += `<div class="label fairness-label">Top tier on court</div><div class="coverage">`;
+  coverage.forEach(c => {
+    const names = c.tops.map(nameHTML).join(", ") || "none";
+    html += `<span class="coverage-period ${c.shortfall > 0 ? "bad" : ""}" title="${names}">P${c.period}: ${c.tops.length}${c.shortfall > 0 ? " ⚠️" : ""}</span>`;
+  });
+  html += `</div>`;
+  
+  html += `<div class="label fairness-label">Rule violations</div>`;
+  html += violations.length === 0
+    ? '<div class="hint">None.</div>'
+    : `<ul class="violations">${violations.map(v => `<li>${v.period ? `Period ${v.period}: ` : ""}${escapeHTML(v.message)}</li>`).join("")}</ul>`;
+  
+  div.innerHTML = html;
+}
+
+function renderSeason() {
+  const div = document.getElementById("season");
+  if (!div) return;
+  
+  const { games, players } = getSeasonTotals();
+  if (games === 0 || state.players.length === 0) {
+    div.innerHTML = '<div class="hint">Archive games to build up season totals.</div>';
+    return;
+  }
+  
+  const rows = state.players.slice().sort((a,b) => a.name.localeCompare(b.name));
+  let html = `<table class="table"><thead><tr><th>Player</th><th>Games</th><th>Periods</th><th>Starts</th><th>Avail</th></tr></thead><tbody>`;
+  
+  rows.forEach(p => {
+    const t = players[p.id];
+    html += `<tr>
+      <td>${escapeHTML(p.name)}</td>
+      <td>${t.games}/${games}</td>
+      <td>${t.periods}</td>
+      <td>${t.starts}</td>
+      <td>${Math.round(t.games / games * 100)}%</td>
     </tr>`;
   });
   
@@ -1028,29 +1565,47 @@ document.getElementById("unlockAllBtn").onclick = () => {
   setStatus("All periods unlocked.");
 };
 
-document.getElementById("resetGameBtn").onclick = () => {
-  if(!confirm("Clear schedule? (Roster stays)")) return;
+function clearGame() {
   state.schedule = {};
   state.locked = {};
+  state.subs = {};
   state.currentPeriod = 1;
+  state.clock = defaultClock();
   saveState();
   renderAll();
+}
+
+document.getElementById("resetGameBtn").onclick = () => {
+  // Offer to keep a played game before it's wiped
+  if (Object.keys(state.schedule).length > 0 && confirm("Archive this game to history first?")) {
+    openArchiveDialog();
+    return;
+  }
+  if(!confirm("Clear schedule? (Roster stays)")) return;
+  clearGame();
   setStatus("Schedule reset.");
 };
 
 document.getElementById("resetAllBtn").onclick = () => {
   if(!confirm("Full Reset? (Deletes Roster)")) return;
-  localStorage.removeItem(LS_KEY);
-  location.reload();
+  state = defaultState();
+  saveState();
+  renderAll();
+  setStatus("Everything reset. Undo brings it back.");
 };
 
+document.getElementById("undoBtn").onclick = undo;
+document.getElementById("redoBtn").onclick = redo;
+
 document.getElementById("saveRosterBtn").onclick = () => {
   saveState();
   setStatus("Roster saved.");
 };
 
 document.getElementById("shareBtn").onclick = () => {
+  const PERIODS = getPeriods();
   const counts = getPlayedCounts(PERIODS + 1);
+  const seconds = getPlayedSeconds(PERIODS + 1);
   const activePool = getActivePool();
   const sortedPlayers = activePool.slice().sort((a,b) => a.name.localeCompare(b.name));
   
@@ -1068,8 +1623,7 @@ document.getElementById("shareBtn").onclick = () => {
   text += "\n📊 Playing Time:\n";
   sortedPlayers.forEach(p => {
     const periods = counts[p.id] || 0;
-    const topBadge = p.top ? " (TOP)" : "";
-    text += `${p.name}${topBadge}: ${periods} period${periods !== 1 ? 's' : ''}\n`;
+    text += `${p.name} ${TIER_LABELS[p.skill]}: ${formatPeriods(periods)} period${periods !== 1 ? 's' : ''} (${formatClock(seconds[p.id] || 0)} min)\n`;
   });
   
   navigator.clipboard.writeText(text)
@@ -1090,6 +1644,638 @@ document.getElementById("printBtn").onclick = () => {
   window.print();
 };
 
+// --- Substitutions ---
+const subDialog = document.getElementById("subDialog");
+const EXIT_REASONS = { injury: "injury", foul_out: "fouled out", other: "left game" };
+let subPeriod = null;
+let subExit = false; // "Exit now": the player leaving is out for the rest of the game
+
+function openSubDialog(period, exit = false) {
+  const onCourt = getFinalLineup(period) || [];
+  // Least time played first, so the suggested replacement is the one owed the most
+  const seconds = getPlayedSeconds(period + 1);
+  const bench = getPeriodPool(period).map(p => p.id)
+    .filter(id => !onCourt.includes(id))
+    .sort((a, b) => (seconds[a] || 0) - (seconds[b] || 0));
+  
+  if (bench.length === 0) {
+    setStatus("No one on the bench to sub in.");
+    return;
+  }
+  
+  const fill = (id, ids) => {
+    document.getElementById(id).innerHTML = ids
+      .map(pid => `<option value="${escapeHTML(pid)}">${nameHTML(pid)}</option>`)
+      .join("");
+  };
+  fill("subOut", onCourt);
+  fill("subIn", bench);
+  
+  // Default to the live clock when subbing in the period being played
+  const live = period === state.currentPeriod && (state.clock.running || state.clock.elapsed > 0);
+  
+  subPeriod = period;
+  subExit = exit;
+  document.getElementById("subReasonField").hidden = !exit;
+  document.getElementById("subTitle").textContent = exit
+    ? `Exit now — Period ${period}`
+    : `Substitution — Period ${period}`;
+  document.getElementById("subClock").value = live ? formatClock(getClockRemaining()) : "";
+  document.getElementById("subError").textContent = "";
+  subDialog.showModal();
+}
+
+document.getElementById("confirmSubBtn").onclick = (e) => {
+  const errorEl = document.getElementById("subError");
+  const clock = parseClock(document.getElementById("subClock").value);
+  
+  if (clock === null || clock > getPeriodSeconds()) {
+    e.preventDefault();
+    errorEl.textContent = `Enter the time left on the clock, 0:00 to ${formatClock(getPeriodSeconds())}.`;
+    return;
+  }
+  
+  const sub = {
+    clock,
+    in: document.getElementById("subIn").value,
+    out: document.getElementById("subOut").value
+  };
+  if (subExit) sub.reason = document.getElementById("subReason").value;
+  const subs = [...getSubs(subPeriod), sub].sort((a, b) => b.clock - a.clock);
+  
+  if (!getFinalLineup(subPeriod, subs)) {
+    e.preventDefault();
+    errorEl.textContent = `${getName(sub.out)} isn't on court at ${formatClock(clock)}.`;
+    return;
+  }
+  
+  // A period with recorded substitutions has been played - keep it on rebuild
+  state.subs[String(subPeriod)] = subs;
+  state.locked[String(subPeriod)] = true;
+  
+  const message = `Period ${subPeriod}: ${getName(sub.in)} in for ${getName(sub.out)} at ${formatClock(clock)}.`;
+  if (subExit) {
+    // Out for the rest of the game: plan the remaining periods without them
+    getPlayer(sub.out).out = true;
+    rebuildFromCurrent();
+    setStatus(`${message} ${getName(sub.out)} is out; later periods rebuilt.`);
+    return;
+  }
+  
+  saveState();
+  renderAll();
+  setStatus(message);
+};
+
+function removeSub(period, sub) {
+  const subs = getSubs(period).filter(s => s !== sub);
+  
+  if (!getFinalLineup(period, subs)) {
+    setStatus("Remove the later substitutions first.");
+    return;
+  }
+  
+  state.subs[String(period)] = subs;
+  saveState();
+  renderAll();
+}
+
+// --- Live Game Clock ---
+let clockTimer = null;
+
+function getClockRemaining() {
+  const { running, startedAt, elapsed } = state.clock;
+  const sinceStart = running ? (Date.now() - startedAt) / 1000 : 0;
+  return Math.max(0, getPeriodSeconds() - elapsed - sinceStart);
+}
+
+function startClock() {
+  state.clock.running = true;
+  state.clock.startedAt = Date.now();
+  saveState();
+  renderClock();
+}
+
+function pauseClock() {
+  state.clock.elapsed = getPeriodSeconds() - getClockRemaining();
+  state.clock.running = false;
+  state.clock.startedAt = null;
+  saveState();
+  renderClock();
+}
+
+// Who comes in and who goes out between this period's final lineup and the next one
+function getUpcomingChanges() {
+  const next = state.schedule[String(state.currentPeriod + 1)];
+  if (state.currentPeriod >= getPeriods() || !next) return null;
+  
+  const current = getFinalLineup(state.currentPeriod) || [];
+  return {
+    next,
+    in: next.filter(id => !current.includes(id)),
+    out: current.filter(id => !next.includes(id))
+  };
+}
+
+function showSubAlert() {
+  const el = document.getElementById("subAlert");
+  const changes = getUpcomingChanges();
+  if (!el || !changes) return;
+  
+  el.innerHTML = changes.in.length === 0
+    ? `<strong>Period ${state.currentPeriod + 1}:</strong> same lineup stays on`
+    : `<strong>Period ${state.currentPeriod + 1}:</strong> ` +
+      `IN ${changes.in.map(nameHTML).join(", ")} • OUT ${changes.out.map(nameHTML).join(", ")}`;
+  el.hidden = false;
+  
+  if (navigator.vibrate) navigator.vibrate([200, 100, 200]);
+}
+
+// Period over: lock it and move on to the next one
+function endPeriod() {
+  const finished = state.currentPeriod;
+  state.locked[String(finished)] = true;
+  
+  if (!state.clock.alerted) showSubAlert();
+  state.clock = defaultClock();
+  
+  if (finished < getPeriods()) {
+    state.currentPeriod = finished + 1;
+    setStatus(`Period ${finished} finished and locked.`);
+  } else {
+    setStatus("Game over. Final period locked.");
+  }
+  
+  saveState();
+  renderAll();
+}
+
+function tickClock() {
+  const remaining = getClockRemaining();
+  
+  if (remaining <= ALERT_SECONDS && !state.clock.alerted) {
+    state.clock.alerted = true;
+    saveState();
+    showSubAlert();
+  }
+  
+  if (remaining <= 0) {
+    endPeriod();
+    return;
+  }
+  
+  document.getElementById("clockTime").textContent = formatClock(remaining);
+}
+
+function renderClock() {
+  const timeEl = document.getElementById("clockTime");
+  if (!timeEl) return;
+  
+  const { running, elapsed } = state.clock;
+  const btn = document.getElementById("clockStartBtn");
+  btn.textContent = running ? "Pause" : elapsed > 0 ? "Resume" : "Start";
+  
+  timeEl.textContent = formatClock(getClockRemaining());
+  document.getElementById("clockPeriod").textContent = `Period ${state.currentPeriod} of ${getPeriods()}`;
+  
+  const changes = getUpcomingChanges();
+  document.getElementById("clockNext").innerHTML = changes
+    ? `<strong>Next:</strong> ${changes.next.map(nameHTML).join(", ")}`
+    : "";
+  
+  clearInterval(clockTimer);
+  clockTimer = running ? setInterval(tickClock, 1000) : null;
+  if (running) tickClock();
+}
+
+document.getElementById("clockStartBtn").onclick = () => {
+  if (state.clock.running) pauseClock();
+  else startClock();
+};
+
+document.getElementById("clockResetBtn").onclick = () => {
+  state.clock = defaultClock();
+  saveState();
+  renderClock();
+};
+
+document.getElementById("subAlert").onclick = (e) => {
+  e.currentTarget.hidden = true;
+};
+
+// --- Teams & Game History ---
+function renderTeams() {
+  const sel = document.getElementById("teamSelect");
+  if (!sel || liveState) return;
+  
+  const team = getActiveTeam();
+  sel.innerHTML = library.teams
+    .map(t => `<option value="${escapeHTML(t.id)}">${escapeHTML(t.name)}</option>`)
+    .join("");
+  sel.value = team.id;
+  sel.onchange = () => switchTeam(sel.value);
+  
+  const div = document.getElementById("history");
+  if (team.games.length === 0) {
+    div.innerHTML = '<div class="hint">No archived games yet.</div>';
+    return;
+  }
+  
+  div.innerHTML = "";
+  team.games.slice().reverse().forEach(game => {
+    const row = document.createElement("div");
+    row.className = "history-row";
+    const label = `${game.date}${game.opponent ? ` vs ${game.opponent}` : ""}`;
+    row.innerHTML = `<span>${escapeHTML(label)}</span>`;
+    
+    const viewBtn = document.createElement("button");
+    viewBtn.className = "secondary smallbtn";
+    viewBtn.textContent = "View";
+    viewBtn.onclick = () => openReadOnly(game.state, `${team.name} • ${label}`);
+    row.appendChild(viewBtn);
+    
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "delete-btn";
+    deleteBtn.innerHTML = "✕";
+    deleteBtn.title = "Delete game";
+    deleteBtn.onclick = () => {
+      if (!confirm(`Delete game from ${game.date}?`)) return;
+      team.games = team.games.filter(g => g.id !== game.id);
+      saveLibrary();
+      renderTeams();
+    };
+    row.appendChild(deleteBtn);
+    
+    div.appendChild(row);
+  });
+}
+
+function switchTeam(teamId) {
+  const current = getActiveTeam();
+  const next = library.teams.find(t => t.id === teamId);
+  if (!next || next === current) return;
+  
+  current.state = state;
+  state = { ...defaultState(), ...next.state };
+  next.state = null;
+  library.activeTeamId = next.id;
+  
+  // Undo steps belong to the team they were made on
+  resetHistory();
+  saveLibrary();
+  saveState();
+  renderAll();
+  setStatus(`Switched to ${next.name}.`);
+}
+
+document.getElementById("newTeamBtn").onclick = () => {
+  const name = (prompt("Team name?") || "").trim();
+  if (!name) return;
+  
+  const team = { id: uid(), name, state: defaultState(), games: [] };
+  library.teams.push(team);
+  switchTeam(team.id);
+};
+
+document.getElementById("renameTeamBtn").onclick = () => {
+  const team = getActiveTeam();
+  const name = (prompt("Rename team", team.name) || "").trim();
+  if (!name) return;
+  
+  team.name = name;
+  saveLibrary();
+  renderTeams();
+};
+
+document.getElementById("deleteTeamBtn").onclick = () => {
+  const team = getActiveTeam();
+  if (library.teams.length === 1) {
+    setStatus("Can't delete the only team.");
+    return;
+  }
+  if (!confirm(`Delete ${team.name}, its roster and ${team.games.length} archived games?`)) return;
+  
+  const next = library.teams.find(t => t.id !== team.id);
+  switchTeam(next.id);
+  library.teams = library.teams.filter(t => t.id !== team.id);
+  saveLibrary();
+  renderTeams();
+};
+
+const archiveDialog = document.getElementById("archiveDialog");
+
+function openArchiveDialog() {
+  document.getElementById("archiveOpponent").value = "";
+  document.getElementById("archiveDate").value = new Date().toISOString().slice(0, 10);
+  archiveDialog.showModal();
+}
+
+document.getElementById("archiveGameBtn").onclick = () => {
+  if (Object.keys(state.schedule).length === 0) {
+    setStatus("Nothing scheduled to archive.");
+    return;
+  }
+  openArchiveDialog();
+};
+
+document.getElementById("confirmArchiveBtn").onclick = () => {
+  const { clock, ...snapshot } = state;
+  
+  getActiveTeam().games.push({
+    id: uid(),
+    date: document.getElementById("archiveDate").value || new Date().toISOString().slice(0, 10),
+    opponent: document.getElementById("archiveOpponent").value.trim(),
+    state: JSON.parse(JSON.stringify(snapshot))
+  });
+  saveLibrary();
+  
+  clearGame();
+  setStatus("Game archived. Schedule cleared for the next one.");
+};
+
+// --- Read-only View ---
+// `importable` offers to copy the viewed game into the local state (shared links)
+function openReadOnly(snapshot, label, importable = false) {
+  if (!liveState) liveState = state;
+  state = { ...defaultState(), ...JSON.parse(JSON.stringify(snapshot)) };
+  
+  document.body.classList.add("read-only");
+  document.getElementById("readOnlyLabel").textContent = label;
+  document.getElementById("readOnlyBanner").hidden = false;
+  document.getElementById("importSharedBtn").hidden = !importable;
+  renderAll();
+}
+
+function closeReadOnly() {
+  if (!liveState) return;
+  state = liveState;
+  liveState = null;
+  
+  // Don't reopen a shared plan on the next reload
+  if (location.hash.startsWith("#plan=")) history.replaceState(null, "", location.pathname + location.search);
+  
+  document.body.classList.remove("read-only");
+  document.getElementById("readOnlyBanner").hidden = true;
+  renderAll();
+}
+
+document.getElementById("closeReadOnlyBtn").onclick = closeReadOnly;
+
+// --- File Export / Import ---
+function downloadFile(filename, text, type) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([text], { type }));
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+document.getElementById("exportBtn").onclick = () => {
+  const { clock, ...snapshot } = state;
+  const teamName = getActiveTeam().name;
+  const data = {
+    format: EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    team: teamName,
+    state: snapshot
+  };
+  
+  const slug = teamName.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "team";
+  downloadFile(`${slug}-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(data, null, 2), "application/json");
+  setStatus("Exported game file.");
+};
+
+// Loads another game state into this one. "replace" takes its roster as is;
+// "merge" keeps the current roster, matching players by id or name and adding
+// the rest. Both take the imported settings, schedule, locks and substitutions.
+function applyImportedState(imported, mode) {
+  if (mode === "replace") {
+    state = { ...imported, clock: defaultClock() };
+    return;
+  }
+  
+  const players = state.players.slice();
+  const idMap = {};
+  imported.players.forEach(p => {
+    const match = players.find(local => local.id === p.id) ||
+      players.find(local => local.name.trim().toLowerCase() === p.name.trim().toLowerCase());
+    if (match) {
+      idMap[p.id] = match.id;
+    } else {
+      players.push(p);
+      idMap[p.id] = p.id;
+    }
+  });
+  
+  const schedule = {};
+  Object.entries(imported.schedule).forEach(([k, lineup]) => {
+    schedule[k] = lineup.map(id => idMap[id]);
+  });
+  const subs = {};
+  Object.entries(imported.subs).forEach(([k, list]) => {
+    subs[k] = list.map(sub => ({ ...sub, in: idMap[sub.in], out: idMap[sub.out] }));
+  });
+  // Local pair rules stay; imported ones are added only for pairs with no local rule,
+  // since a second rule for a pair could contradict the first
+  const samePair = (r, a, b) => (r.a === a && r.b === b) || (r.a === b && r.b === a);
+  const pairRules = state.pairRules.slice();
+  imported.pairRules.forEach(r => {
+    const a = idMap[r.a];
+    const b = idMap[r.b];
+    if (a === b || state.pairRules.some(local => samePair(local, a, b))) return;
+    pairRules.push({ ...r, id: uid(), a, b });
+  });
+  
+  state = { ...imported, players, schedule, subs, pairRules, clock: defaultClock() };
+}
+
+const fileImportDialog = document.getElementById("fileImportDialog");
+let pendingImport = null;
+
+document.getElementById("importFileBtn").onclick = () => document.getElementById("importFile").click();
+
+document.getElementById("importFile").onchange = async (e) => {
+  const file = e.target.files[0];
+  e.target.value = "";
+  if (!file) return;
+  
+  try {
+    const data = JSON.parse(await file.text());
+    if (!isObject(data) || data.format !== EXPORT_FORMAT) {
+      throw new Error("Not a Rotation Planner export.");
+    }
+    const { state: imported, problems } = migrateState(data.state);
+    
+    pendingImport = imported;
+    const scheduled = Object.keys(imported.schedule).length;
+    document.getElementById("fileImportSummary").textContent =
+      `${data.team || "Team"}: ${imported.players.length} players, ${scheduled} of ${imported.periods} periods scheduled` +
+      (problems.length > 0 ? `. ${problems.length} problem(s) were fixed while reading it.` : ".");
+    fileImportDialog.showModal();
+  } catch (err) {
+    setStatus(`⚠️ Import failed: ${err.message}`);
+  }
+};
+
+const confirmFileImport = (mode) => () => {
+  if (!pendingImport) return;
+  closeReadOnly();
+  applyImportedState(pendingImport, mode);
+  pendingImport = null;
+  
+  saveState();
+  renderAll();
+  setStatus(mode === "merge" ? "Imported game and merged rosters." : "Imported game and roster.");
+};
+
+document.getElementById("mergeImportBtn").onclick = confirmFileImport("merge");
+document.getElementById("replaceImportBtn").onclick = confirmFileImport("replace");
+
+// --- Share Link ---
+// Plans travel in the URL hash as base64url JSON. Lineups are strings of
+// base-36 roster indexes, so a roster can hold up to 36 players.
+function toBase64Url(text) {
+  let binary = "";
+  new TextEncoder().encode(text).forEach(b => binary += String.fromCharCode(b));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(str) {
+  const binary = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+function encodePlan(s) {
+  const ids = s.players.map(p => p.id);
+  const idx = (id) => ids.indexOf(id).toString(36);
+  const periods = [];
+  for (let k = 1; k <= s.periods; k++) periods.push((s.schedule[String(k)] || []).map(idx).join(""));
+  
+  const subs = [];
+  Object.entries(s.subs).forEach(([k, list]) => {
+    list.forEach(sub => {
+      const entry = [Number(k), sub.clock, idx(sub.in), idx(sub.out)];
+      if (sub.reason) entry.push(sub.reason);
+      subs.push(entry);
+    });
+  });
+  
+  return toBase64Url(JSON.stringify({
+    v: SHARE_VERSION,
+    g: s.gameMode,
+    e: s.formats.filter(f => f.id === s.gameMode).map(f => [f.name, f.onCourt, f.periods, f.periodMinutes]),
+    m: s.mode,
+    p: s.periods,
+    t: s.periodMinutes,
+    c: s.currentPeriod,
+    n: s.players.map(p => p.name),
+    f: s.players.map(p => (p.available ? 2 : 0) | (p.out ? 4 : 0)),
+    k: s.players.map(p => p.skill),
+    r: s.pairRules.map(r => [idx(r.a), idx(r.b), r.type, r.periods]),
+    o: s.players.map(p => Object.keys(POSITIONS).reduce((bits, pos, i) => p.positions.includes(pos) ? bits | (1 << i) : bits, 0)),
+    w: s.players.map(p => [p.fromPeriod || 0, p.untilPeriod || 0]),
+    s: periods.join("."),
+    l: Object.keys(s.locked).map(Number),
+    u: subs,
+    x: TIERS.map(t => s.tierCoverage[t]),
+    q: s.positionRules[s.gameMode],
+    z: [s.maxOnStreak, s.maxBenchStreak],
+    b: s.balanceStrength ? 1 : 0,
+    d: [s.seed, s.lastSeed]
+  }));
+}
+
+// Returns a validated state, or throws when the link is damaged
+function decodePlan(encoded) {
+  const d = JSON.parse(fromBase64Url(encoded));
+  // Version 1 links flagged top players in bit 1 of `f` instead of sending tiers in `k`;
+  // links before version 3 carry no rule settings, so those keep their defaults
+  if (!isObject(d) || !(d.v >= 1 && d.v <= SHARE_VERSION) || !Array.isArray(d.n)) throw new Error("Unrecognized share link.");
+  
+  const ids = d.n.map(() => uid());
+  const id = (c) => ids[parseInt(c, 36)];
+  const players = d.n.map((name, i) => ({
+    id: ids[i],
+    name,
+    skill: d.v === 1 ? (d.f[i] & 1 ? 3 : 2) : d.k && d.k[i],
+    positions: Object.keys(POSITIONS).filter((pos, bit) => d.o && d.o[i] & (1 << bit)),
+    available: !!(d.f[i] & 2),
+    out: !!(d.f[i] & 4),
+    fromPeriod: (d.w && d.w[i] && d.w[i][0]) || null,
+    untilPeriod: (d.w && d.w[i] && d.w[i][1]) || null
+  }));
+  
+  const schedule = {};
+  String(d.s).split(".").forEach((lineup, i) => {
+    if (lineup) schedule[String(i + 1)] = [...lineup].map(id);
+  });
+  const locked = {};
+  (d.l || []).forEach(k => locked[String(k)] = true);
+  const subs = {};
+  (d.u || []).forEach(([k, clock, inIdx, outIdx, reason]) => {
+    const sub = { clock, in: id(inIdx), out: id(outIdx) };
+    if (reason) sub.reason = reason;
+    (subs[String(k)] = subs[String(k)] || []).push(sub);
+  });
+  
+  const settings = d.v < 3 ? {} : {
+    tierCoverage: Object.fromEntries(TIERS.map((t, i) => [t, d.x && d.x[i]])),
+    positionRules: { ...defaultPositionRules(), [d.g]: d.q },
+    maxOnStreak: d.z && d.z[0],
+    maxBenchStreak: d.z && d.z[1],
+    balanceStrength: d.b !== 0,
+    seed: d.d && d.d[0],
+    lastSeed: d.d && d.d[1]
+  };
+  
+  return migrateState({
+    version: STATE_VERSION,
+    gameMode: d.g,
+    formats: (d.e || []).map(([name, onCourt, periods, periodMinutes]) => ({ id: d.g, name, onCourt, periods, periodMinutes, positionRules: d.q })),
+    mode: d.m,
+    periods: d.p,
+    periodMinutes: d.t,
+    currentPeriod: d.c,
+    players,
+    pairRules: (d.r || []).map(([a, b, type, periods]) => ({ a: id(a), b: id(b), type, periods })),
+    schedule,
+    locked,
+    subs,
+    ...settings
+  }).state;
+}
+
+function openSharedFromHash() {
+  if (!location.hash.startsWith("#plan=")) return;
+  
+  try {
+    openReadOnly(decodePlan(location.hash.slice("#plan=".length)), "Shared plan", true);
+  } catch (err) {
+    setStatus(`⚠️ Couldn't open shared plan: ${err.message}`);
+  }
+}
+
+document.getElementById("shareLinkBtn").onclick = () => {
+  if (state.players.length > 36) {
+    setStatus("Share links support up to 36 players. Use Export file instead.");
+    return;
+  }
+  
+  const url = `${location.origin}${location.pathname}#plan=${encodePlan(state)}`;
+  navigator.clipboard.writeText(url)
+    .then(() => setStatus("Share link copied!"))
+    .catch(() => setStatus("Copy failed."));
+};
+
+document.getElementById("importSharedBtn").onclick = () => {
+  pendingImport = state;
+  document.getElementById("fileImportSummary").textContent =
+    `Shared plan: ${state.players.length} players, ${Object.keys(state.schedule).length} of ${state.periods} periods scheduled.`;
+  fileImportDialog.showModal();
+};
+
+window.addEventListener("hashchange", openSharedFromHash);
+
 const importDialog = document.getElementById("importDialog");
 document.getElementById("importBtn").onclick = () => importDialog.showModal();
 
@@ -1101,7 +2287,8 @@ document.getElementById("confirmImportBtn").onclick = () => {
   const newPlayers = names.map(n => ({
     id: uid(),
     name: n,
-    top: false, 
+    skill: 2,
+    positions: [],
     available: true, 
     out: false
   }));
@@ -1131,5 +2318,70 @@ function initTheme() {
   };
 }
 
+// --- Recovery ---
+function reportLoadIssues() {
+  if (loadIssues.errors.length > 0) {
+    const dialog = document.getElementById("recoveryDialog");
+    document.getElementById("recoveryError").textContent = loadIssues.errors.join(" ");
+    document.getElementById("recoveryText").value = loadIssues.backups.map(b => b.raw).join("\n\n");
+    dialog.showModal();
+    return;
+  }
+  
+  if (loadIssues.problems.length > 0) {
+    setStatus(`⚠️ Fixed ${loadIssues.problems.length} problem(s) in saved data. A backup was kept.`);
+  }
+}
+
+document.getElementById("downloadBackupBtn").onclick = () => {
+  const text = loadIssues.backups.map(b => b.raw).join("\n\n");
+  downloadFile(`rotation-planner-backup-${new Date().toISOString().slice(0, 10)}.txt`, text, "text/plain");
+};
+
+// --- Offline ---
+// sw.js precaches the app. A new version installs in the background and waits;
+// the banner lets the coach reload when it suits them (the game is saved).
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+  
+  let updateRequested = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (updateRequested) location.reload();
+  });
+  
+  const offerUpdate = (worker) => {
+    document.getElementById("updateBanner").hidden = false;
+    document.getElementById("reloadUpdateBtn").onclick = () => {
+      updateRequested = true;
+      worker.postMessage("skipWaiting");
+    };
+  };
+  
+  // The worker staged the changed files; the reload switches over to them.
+  // A waiting worker's banner wins, since its reload brings the files too.
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    const banner = document.getElementById("updateBanner");
+    if (e.data !== "shellUpdated" || !banner.hidden) return;
+    banner.hidden = false;
+    document.getElementById("reloadUpdateBtn").onclick = () => location.reload();
+  });
+  
+  navigator.serviceWorker.register("sw.js").then(reg => {
+    if (reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg.waiting);
+    reg.onupdatefound = () => {
+      const worker = reg.installing;
+      worker.onstatechange = () => {
+        // The first install has nothing to replace, so only later ones ask
+        if (worker.state === "installed" && navigator.serviceWorker.controller) offerUpdate(worker);
+      };
+    };
+  }).catch(() => {
+    // Without a worker the app still runs, just not offline
+  });
+}
+
 initTheme();
 renderAll();
+reportLoadIssues();
+openSharedFromHash();
+registerServiceWorker();
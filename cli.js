@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+// Command-line rotations: reads a roster, builds a schedule with the same
+// scheduling core as the app, and prints it as text, JSON or CSV.
+// Exits with 1 when the schedule breaks the fairness rules, 2 on bad input or
+// when the roster can't fill every period.
+"use strict";
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const Scheduler = require("./scheduler.js");
+
+const MODES = ["fair_optimized", "sliding_fixed", "sliding_adaptive", "true_random_fair"];
+const OUTPUTS = ["text", "json", "csv"];
+
+const USAGE = `Usage: node cli.js <roster> [options]
+
+<roster> is a text file with one player name per line, or JSON: a game file
+exported from the app, a list of players ({ name, skill, positions, ... }) or
+of names. Use - to read from stdin.
+
+Options:
+  -f, --format <id>     Game format: ${Scheduler.FORMATS.map(f => f.id).join(", ")}, or a custom
+                        format saved in the exported game (default: 4v4, or the
+                        exported game's)
+  -m, --mode <mode>     ${MODES.join(", ")}
+  -p, --periods <n>     Number of periods (default: the format's)
+  -t, --minutes <n>     Minutes per period (default: the format's)
+  -s, --seed <text>     Seed for a reproducible schedule
+  -o, --output <type>   ${OUTPUTS.join(", ")} (default: text)
+  -h, --help            Show this help
+
+Exit status: 0 when the schedule is fair, 1 when it breaks the fairness rules,
+2 when the roster or options can't be used or some periods can't be scheduled.`;
+
+class UsageError extends Error {}
+
+function parseOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: "string", short: "f" },
+        mode: { type: "string", short: "m" },
+        periods: { type: "string", short: "p" },
+        minutes: { type: "string", short: "t" },
+        seed: { type: "string", short: "s" },
+        output: { type: "string", short: "o", default: "text" },
+        help: { type: "boolean", short: "h" }
+      }
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) throw new UsageError("Give exactly one roster file.");
+  // Formats are checked once the roster is read, since an exported game can bring custom ones
+  if (values.mode && !MODES.includes(values.mode)) throw new UsageError(`Unknown mode "${values.mode}".`);
+  if (!OUTPUTS.includes(values.output)) throw new UsageError(`Unknown output "${values.output}".`);
+  
+  const number = (key, min, max) => {
+    if (values[key] === undefined) return undefined;
+    const n = Number(values[key]);
+    if (!(Number.isInteger(n) && n >= min && n <= max)) throw new UsageError(`--${key} must be ${min}-${max}.`);
+    return n;
+  };
+  
+  return {
+    roster: positionals[0],
+    format: values.format,
+    mode: values.mode,
+    periods: number("periods", 2, 12),
+    minutes: number("minutes", 1, 30),
+    seed: values.seed,
+    output: values.output
+  };
+}
+
+// Game settings from an exported file, or the app's defaults. Plain rosters are
+// already in the current shape, so they skip the app's migrations.
+function readRoster(path) {
+  const text = fs.readFileSync(path === "-" ? 0 : path, "utf8");
+  
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    const names = text.split(/\n/).map(s => s.trim()).filter(s => s.length > 0);
+    return { version: Scheduler.STATE_VERSION, players: names.map(name => ({ name })) };
+  }
+  
+  if (data && data.format === "rotation-planner" && data.state) return data.state;
+  if (Array.isArray(data)) {
+    return { version: Scheduler.STATE_VERSION, players: data.map(p => typeof p === "string" ? { name: p } : p) };
+  }
+  throw new UsageError("JSON rosters must be an exported game file or a list of players.");
+}
+
+// Ids the roster leaves out or repeats get p1, p2, ... skipping ones already taken
+function assignIds(players) {
+  const taken = new Set();
+  const kept = players.map(p => {
+    const keep = typeof p.id === "string" && p.id && !taken.has(p.id);
+    if (keep) taken.add(p.id);
+    return keep;
+  });
+  let next = 1;
+  return players.map((p, i) => {
+    if (kept[i]) return p;
+    while (taken.has(`p${next}`)) next++;
+    taken.add(`p${next}`);
+    return { ...p, id: `p${next}` };
+  });
+}
+
+// Rosters go through the app's own migration and checks
+function toGame(base, options) {
+  const players = base.players || [];
+  players.forEach((p, i) => {
+    if (!p || typeof p.name !== "string") throw new UsageError(`Player #${i + 1} has no name.`);
+  });
+  if (players.length === 0) throw new UsageError("The roster has no players.");
+  
+  let loaded;
+  try {
+    loaded = Scheduler.migrateState({ ...base, players: assignIds(players) });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { state, problems } = loaded;
+  problems.forEach(problem => console.error(`Warning: ${problem}`));
+  
+  const gameMode = options.format || state.gameMode;
+  const format = Scheduler.getFormats(state).find(f => f.id === gameMode);
+  if (!format) throw new UsageError(`Unknown format "${gameMode}".`);
+  // Periods and minutes saved with the game only apply to the format they were saved for
+  const sameFormat = base.periods !== undefined && gameMode === state.gameMode;
+  
+  return {
+    ...state,
+    gameMode,
+    mode: options.mode || state.mode,
+    periods: options.periods || (sameFormat ? state.periods : format.periods),
+    periodMinutes: options.minutes || (sameFormat ? state.periodMinutes : format.periodMinutes),
+    seed: options.seed !== undefined ? options.seed : state.seed,
+    // The whole game is planned from period 1
+    currentPeriod: 1,
+    schedule: {},
+    locked: {},
+    subs: {}
+  };
+}
+
+// Cells starting with = + - @ would run as formulas in a spreadsheet, so they get a leading '
+function csvCell(v) {
+  const text = /^[=+\-@]/.test(String(v)) ? `'${v}` : String(v);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatSchedule(game, { seed, issues }, output) {
+  const name = (id) => Scheduler.getName(game, id);
+  const seconds = Scheduler.getPlayedSeconds(game, game.periods + 1);
+  const counts = Scheduler.getPlayedCounts(game, game.periods + 1);
+  const pool = Scheduler.getActivePool(game);
+  const periods = [];
+  for (let k = 1; k <= game.periods; k++) periods.push(game.schedule[String(k)] || []);
+  
+  if (output === "json") {
+    return JSON.stringify({
+      format: Scheduler.getFormat(game).name,
+      mode: game.mode,
+      seed,
+      periodMinutes: game.periodMinutes,
+      periods: periods.map((lineup, i) => ({ period: i + 1, players: lineup.map(name) })),
+      players: pool.map(p => ({ name: p.name, periods: counts[p.id], seconds: seconds[p.id] })),
+      issues,
+      fairness: Scheduler.getFairnessReport(game)
+    }, null, 2);
+  }
+  
+  if (output === "csv") {
+    const rows = [["Player", ...periods.map((_, i) => `P${i + 1}`), "Periods", "Minutes"]];
+    pool.forEach(p => rows.push([
+      p.name,
+      ...periods.map(lineup => lineup.includes(p.id) ? "X" : ""),
+      counts[p.id],
+      Scheduler.formatClock(seconds[p.id])
+    ]));
+    return rows.map(row => row.map(csvCell).join(",")).join("\n");
+  }
+  
+  const lines = periods.map((lineup, i) => `Period ${i + 1}: ${lineup.map(name).join(", ")}`);
+  lines.push("", "Playing time:");
+  pool.slice().sort((a, b) => a.name.localeCompare(b.name)).forEach(p => {
+    lines.push(`  ${p.name}: ${counts[p.id]} period${counts[p.id] !== 1 ? "s" : ""} (${Scheduler.formatClock(seconds[p.id])})`);
+  });
+  lines.push("", `Seed: ${seed}`);
+  return lines.join("\n");
+}
+
+function main(argv) {
+  const options = parseOptions(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  
+  const game = toGame(readRoster(options.roster), options);
+  const result = Scheduler.buildSchedule(game);
+  game.schedule = result.schedule;
+  // A short-handed period can't be played either
+  const unscheduled = [];
+  for (let k = 1; k <= game.periods; k++) {
+    if ((game.schedule[String(k)] || []).length < Scheduler.getOnCourt(game)) unscheduled.push(k);
+  }
+  if (unscheduled.length > 0) {
+    const reasons = result.issues.length > 0 ? ` ${result.issues.join(" ")}` : "";
+    throw new Error(`Couldn't fill period${unscheduled.length > 1 ? "s" : ""} ${unscheduled.join(", ")}.${reasons}`);
+  }
+  console.log(formatSchedule(game, result, options.output));
+  
+  result.issues.forEach(issue => console.error(`Warning: ${issue}`));
+  const broken = Scheduler.checkFairness(game);
+  broken.forEach(issue => console.error(`Fairness check failed (${issue.rule}): ${issue.message}`));
+  return broken.length > 0 ? 1 : 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  if (err instanceof UsageError) console.error("Run with --help for usage.");
+  process.exitCode = 2;
+}
@@ -0,0 +1,1523 @@
+// Scheduling core: builds fair rotations from a game's roster, settings and
+// locked periods, and migrates and checks saved games. No DOM or storage access,
+// so it runs in the page (as the `Scheduler` global, loaded before app.js) and
+// under Node via require().
+//
+// A "game" is the app's saved state shape: players, gameMode, formats, mode,
+// periods, periodMinutes, tierCoverage, balanceStrength, positionRules,
+// pairRules, patterns, patternId, maxOnStreak, maxBenchStreak, seed, schedule,
+// locked and subs.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.Scheduler = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+"use strict";
+
+const DEFAULT_PERIODS = 8;
+const TIERS = [3, 2, 1]; // Skill tiers, strongest first
+const POSITIONS = { handler: "Ball-handler", guard: "Guard", wing: "Wing", big: "Big" };
+const PAIR_TYPES = { together: "together", apart: "apart", min: "at least N periods together" };
+
+// Built-in game formats; custom ones live in the game's `formats` with the same shape.
+// Periods, minutes and position rules are what a format starts with when picked.
+const FORMATS = [
+  { id: "3v3", name: "3v3", onCourt: 3, periods: 8, periodMinutes: 4, positionRules: { handler: { min: 1 } } },
+  { id: "4v4", name: "4v4", onCourt: 4, periods: 8, periodMinutes: 5, positionRules: { handler: { min: 1 }, big: { max: 2 } } },
+  { id: "5v5", name: "5v5", onCourt: 5, periods: 8, periodMinutes: 5, positionRules: { handler: { min: 1 }, guard: { min: 1 }, big: { max: 2 } } },
+  { id: "6v6", name: "6v6", onCourt: 6, periods: 6, periodMinutes: 8, positionRules: { handler: { min: 1 }, guard: { min: 1 }, big: { max: 3 } } }
+];
+
+const getFormats = () => [...FORMATS, ...game.formats];
+
+// The current game format; unknown ids fall back to 4v4
+function getFormat(id = game.gameMode) {
+  return getFormats().find(f => f.id === id) || FORMATS[1];
+}
+
+// Dynamic: Get players on court based on game format
+function getOnCourt() {
+  return getFormat().onCourt;
+}
+
+// Dynamic: Get number of periods in the game
+function getPeriods() {
+  return game.periods || DEFAULT_PERIODS;
+}
+
+// The game the current call works on. Exported helpers take the game as their
+// first argument and set it here for the duration of the call.
+let game = null;
+
+const withGame = (fn) => (g, ...args) => {
+  const outer = game;
+  game = g;
+  try {
+    return fn(...args);
+  } finally {
+    game = outer;
+  }
+};
+
+// The build in progress: season shares passed in, the issues found so far and,
+// for fair optimized builds, whether the search finished (`exact`)
+let build = null;
+
+// --- Logic Helpers ---
+const getPlayer = (id) => game.players.find(p => p.id === id);
+const getName = (id) => getPlayer(id)?.name || "Unknown";
+
+function getActivePool() { 
+  return game.players.filter(p => p.available && !p.out); 
+}
+
+// Avail/Out flags plus the player's arrival/departure window
+function isAvailableIn(p, period) {
+  return p.available && !p.out &&
+    period >= (p.fromPeriod || 1) && period <= (p.untilPeriod || getPeriods());
+}
+
+function getPeriodPool(period) {
+  return game.players.filter(p => isAvailableIn(p, period));
+}
+
+// Top tier: these players get priority for extra time
+const isTop = (p) => !!p && p.skill === 3;
+
+// --- Seeded Random ---
+// Builders draw from `random` instead of Math.random, so the same seed and the
+// same inputs always give the same schedule
+let random = Math.random;
+
+// mulberry32, seeded with a 32-bit FNV-1a hash of the seed text
+function seedRandom(seed) {
+  let a = 2166136261;
+  for (const ch of String(seed)) a = Math.imul(a ^ ch.charCodeAt(0), 16777619);
+  random = () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(arr) {
+  const a = arr.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// Periods played per player. Substitutions give partial credit, so counts can be fractional.
+function getPlayedCounts(upToPeriod) {
+  const seconds = getPlayedSeconds(upToPeriod);
+  const length = getPeriodSeconds();
+  const counts = {};
+  Object.keys(seconds).forEach(pid => counts[pid] = seconds[pid] / length);
+  return counts;
+}
+
+// Length of one period in seconds
+function getPeriodSeconds() {
+  return (game.periodMinutes || 1) * 60;
+}
+
+// Mid-period substitutions for a period, in game order (clock counts down)
+function getSubs(period) {
+  return (game.subs[String(period)] || []).slice().sort((a, b) => b.clock - a.clock);
+}
+
+// Seconds on court per player, following each period's lineup and its substitutions
+function getPlayedSeconds(upToPeriod) {
+  const seconds = {};
+  game.players.forEach(p => seconds[p.id] = 0);
+  const length = getPeriodSeconds();
+  
+  for (let k = 1; k < upToPeriod; k++) {
+    const lineup = game.schedule[String(k)];
+    if (!lineup) continue;
+    
+    // When each on-court player entered, in seconds left on the clock
+    const enteredAt = {};
+    lineup.forEach(pid => enteredAt[pid] = length);
+    
+    getSubs(k).forEach(sub => {
+      if (sub.out in enteredAt) {
+        seconds[sub.out] = (seconds[sub.out] || 0) + enteredAt[sub.out] - sub.clock;
+        delete enteredAt[sub.out];
+      }
+      enteredAt[sub.in] = sub.clock;
+    });
+    
+    Object.keys(enteredAt).forEach(pid => {
+      seconds[pid] = (seconds[pid] || 0) + enteredAt[pid];
+    });
+  }
+  return seconds;
+}
+
+// Replays a period's substitutions; returns who is on court at the final buzzer,
+// or null when a substitution doesn't match the lineup at its time
+function getFinalLineup(period, subs = getSubs(period)) {
+  const onCourt = (game.schedule[String(period)] || []).slice();
+  
+  for (const sub of subs) {
+    const idx = onCourt.indexOf(sub.out);
+    if (idx === -1 || onCourt.includes(sub.in)) return null;
+    onCourt[idx] = sub.in;
+  }
+  return onCourt;
+}
+
+function formatClock(totalSeconds) {
+  const secs = Math.max(0, Math.round(totalSeconds));
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+}
+
+// Each player's fair share of court time before `upToPeriod`, in seconds:
+// every period's court time is split evenly among the players who can attend it
+function getFairTargets(upToPeriod) {
+  const targets = {};
+  game.players.forEach(p => targets[p.id] = 0);
+  const length = getPeriodSeconds();
+  const courtTime = getOnCourt() * length;
+  
+  for (let k = 1; k < upToPeriod; k++) {
+    const pool = getPeriodPool(k);
+    pool.forEach(p => targets[p.id] += Math.min(length, courtTime / pool.length));
+  }
+  return targets;
+}
+
+// Seconds played minus fair share; the lowest are owed the most time
+function getRelativeTime(upToPeriod) {
+  const played = getPlayedSeconds(upToPeriod);
+  const targets = getFairTargets(upToPeriod);
+  const relative = {};
+  Object.keys(targets).forEach(pid => relative[pid] = Math.round((played[pid] || 0) - targets[pid]));
+  return relative;
+}
+
+// Replaces players who can't attend a period with the available bench players owed the most time
+function fillUnavailable(period, lineup) {
+  const available = getPeriodPool(period).map(p => p.id);
+  const relative = getRelativeTime(period);
+  const bench = available
+    .filter(id => !lineup.includes(id))
+    .sort((a, b) => relative[a] - relative[b]);
+  
+  return lineup
+    .map(id => available.includes(id) ? id : bench.shift())
+    .filter(Boolean);
+}
+
+// --- Streak Limits ---
+// Runs going into `period`: consecutive periods on court and on the bench.
+// A period the player can't attend, or one not scheduled yet, ends both runs.
+function getRunsBefore(period, schedule = game.schedule) {
+  const runs = {};
+  game.players.forEach(p => runs[p.id] = { on: 0, off: 0 });
+  for (let k = 1; k < period; k++) advanceRuns(runs, k, schedule[String(k)]);
+  return runs;
+}
+
+function advanceRuns(runs, period, lineup) {
+  game.players.forEach(p => {
+    const run = runs[p.id];
+    if (lineup && lineup.includes(p.id)) {
+      run.on++;
+      run.off = 0;
+    } else if (lineup && isAvailableIn(p, period)) {
+      run.off++;
+      run.on = 0;
+    } else {
+      run.on = 0;
+      run.off = 0;
+    }
+  });
+}
+
+// Players a lineup pushes past the streak limits, given the runs going into it
+function getStreakBreaks(lineup, pool, runs) {
+  const { maxOnStreak, maxBenchStreak } = game;
+  const breaks = [];
+  pool.forEach(p => {
+    const run = runs[p.id];
+    if (!run) return;
+    if (maxOnStreak && lineup.includes(p.id) && run.on >= maxOnStreak) {
+      breaks.push(`${p.name}: ${run.on + 1} in a row on court`);
+    }
+    if (maxBenchStreak && !lineup.includes(p.id) && run.off >= maxBenchStreak) {
+      breaks.push(`${p.name}: ${run.off + 1} in a row on the bench`);
+    }
+  });
+  return breaks;
+}
+
+// Streak breaks across a whole schedule: { period: [messages] }
+function getScheduleStreakBreaks(schedule = game.schedule) {
+  const result = {};
+  if (!game.maxOnStreak && !game.maxBenchStreak) return result;
+  
+  const runs = getRunsBefore(1, schedule);
+  for (let k = 1; k <= getPeriods(); k++) {
+    const lineup = schedule[String(k)];
+    if (lineup) {
+      const breaks = getStreakBreaks(lineup, getPeriodPool(k), runs);
+      if (breaks.length > 0) result[k] = breaks;
+    }
+    advanceRuns(runs, k, lineup);
+  }
+  return result;
+}
+
+// --- Season Balance ---
+// Season share per player (0-1) from the build's options: starts for the opening
+// period, otherwise periods played. Null when the caller passed no history.
+function getSeasonShares(forStarts) {
+  const season = build && build.season;
+  if (!season) return null;
+  return (forStarts ? season.starts : season.periods) || null;
+}
+
+function calculateSeasonPenalty(lineup, season) {
+  if (!season) return 0;
+  return lineup.reduce((sum, pid) => sum + (season[pid] || 0) * 10, 0);
+}
+
+// --- Tier Coverage & Lineup Strength ---
+// Players missing from a lineup to meet each tier's minimum on court.
+// A tier can't be asked for more players than the period has available.
+function getCoverageShortfall(lineup, pool) {
+  return TIERS.reduce((missing, t) => {
+    const available = pool.filter(p => p.skill === t).map(p => p.id);
+    const required = Math.min(game.tierCoverage[t] || 0, available.length);
+    const onCourt = lineup.filter(id => available.includes(id)).length;
+    return missing + Math.max(0, required - onCourt);
+  }, 0);
+}
+
+// How far a lineup's total skill strays from an even share of the period's pool,
+// so no period is stacked or left without strength
+function calculateStrengthPenalty(lineup, pool) {
+  if (!game.balanceStrength || pool.length === 0) return 0;
+  const strength = lineup.reduce((sum, id) => sum + (getPlayer(id)?.skill || 2), 0);
+  return Math.abs(strength - getEvenStrength(pool, lineup.length)) * 5;
+}
+
+// Total skill of `size` players if the pool's strength were spread evenly
+function getEvenStrength(pool, size) {
+  return Math.round(pool.reduce((sum, p) => sum + p.skill, 0) / pool.length * size);
+}
+
+// --- Positions ---
+function getPositionRules() {
+  return game.positionRules[game.gameMode] || getFormat().positionRules;
+}
+
+// Position rules a lineup breaks, with how many players it is off by.
+// A minimum can't ask for more players than the period has available.
+function getPositionViolations(lineup, pool) {
+  const rules = getPositionRules();
+  const violations = [];
+  Object.keys(POSITIONS).forEach(pos => {
+    const rule = rules[pos];
+    if (!rule) return;
+    const plays = (id) => (getPlayer(id)?.positions || []).includes(pos);
+    const onCourt = lineup.filter(plays).length;
+    const min = Math.min(rule.min || 0, pool.filter(p => plays(p.id)).length);
+    if (onCourt < min) {
+      violations.push({ amount: min - onCourt, message: `${POSITIONS[pos]}: needs at least ${min}` });
+    }
+    if (rule.max !== undefined && onCourt > rule.max) {
+      violations.push({ amount: onCourt - rule.max, message: `${POSITIONS[pos]}: at most ${rule.max}` });
+    }
+  });
+  return violations;
+}
+
+const getPositionShortfall = (lineup, pool) =>
+  getPositionViolations(lineup, pool).reduce((sum, v) => sum + v.amount, 0);
+
+// --- Pair Rules ---
+const pairLabel = (r) => `${getName(r.a)} & ${getName(r.b)}`;
+
+function getPairRules() {
+  return game.pairRules.filter(r => getPlayer(r.a) && getPlayer(r.b));
+}
+
+// "Together" and "apart" rules a single period breaks. Together only applies
+// when both players can attend the period.
+function getPairViolations(lineup, pool) {
+  const messages = [];
+  getPairRules().forEach(r => {
+    const onA = lineup.includes(r.a);
+    const onB = lineup.includes(r.b);
+    if (r.type === "apart" && onA && onB) messages.push(`${pairLabel(r)} should be apart`);
+    if (r.type === "together" && onA !== onB && pool.some(p => p.id === r.a) && pool.some(p => p.id === r.b)) {
+      messages.push(`${pairLabel(r)} should play together`);
+    }
+  });
+  return messages;
+}
+
+// "At least N periods together" rules the schedule falls short of
+function getPairDeficits(schedule = game.schedule) {
+  return getPairRules().filter(r => r.type === "min").map(r => {
+    const together = Object.values(schedule).filter(l => l.includes(r.a) && l.includes(r.b)).length;
+    return { rule: r, together, missing: Math.max(0, r.periods - together) };
+  }).filter(d => d.missing > 0);
+}
+
+const formatPairDeficit = (d) => `${pairLabel(d.rule)} together ${d.together} of ${d.rule.periods} periods`;
+
+// --- Lineup Repair ---
+// Count-preserving repair for builders that ignore positions, pair rules, tier
+// minimums and streak limits: swap a player out of a period for someone on its
+// bench, and make the opposite swap in another unlocked period, so nobody's
+// playing time changes. Swaps are kept only when they break fewer rules; every
+// missing player on a position rule or tier minimum counts as one broken rule,
+// as in the solver.
+function repairLineups(startPeriod) {
+  const PERIODS = getPeriods();
+  const open = [];
+  for (let k = startPeriod; k <= PERIODS; k++) {
+    if (!game.locked[String(k)] && game.schedule[String(k)]) open.push(k);
+  }
+  const scoreOf = (k, lineup) => {
+    const pool = getPeriodPool(k);
+    return getPositionShortfall(lineup, pool) + getPairViolations(lineup, pool).length +
+      getCoverageShortfall(lineup, pool);
+  };
+  // Rules that span periods: "at least N together" and streak limits
+  const spanningBroken = (schedule) => getPairDeficits(schedule).reduce((sum, d) => sum + d.missing, 0) +
+    Object.values(getScheduleStreakBreaks(schedule)).reduce((sum, breaks) => sum + breaks.length, 0);
+  
+  const tryExchange = (k) => {
+    const lineup = game.schedule[String(k)];
+    const before = scoreOf(k, lineup);
+    const missing = spanningBroken(game.schedule);
+    if (before === 0 && missing === 0) return false;
+    const bench = getPeriodPool(k).map(p => p.id).filter(id => !lineup.includes(id));
+    
+    for (const x of lineup) {
+      for (const y of bench) {
+        for (const j of open) {
+          const other = game.schedule[String(j)];
+          if (j === k || !other.includes(y) || other.includes(x) || !isAvailableIn(getPlayer(x), j)) continue;
+          
+          const nextK = lineup.map(id => id === x ? y : id);
+          const nextJ = other.map(id => id === y ? x : id);
+          const afterK = scoreOf(k, nextK);
+          const afterJ = scoreOf(j, nextJ);
+          const beforeJ = scoreOf(j, other);
+          const missingAfter = spanningBroken({ ...game.schedule, [String(k)]: nextK, [String(j)]: nextJ });
+          if (afterK + afterJ + missingAfter < before + beforeJ + missing) {
+            game.schedule[String(k)] = nextK;
+            game.schedule[String(j)] = nextJ;
+            return true;
+          }
+        }
+      }
+    }
+    return false;
+  };
+  
+  // Every kept swap lowers the number of broken rules, so this always finishes
+  let changed = true;
+  while (changed) {
+    changed = false;
+    open.forEach(k => { if (tryExchange(k)) changed = true; });
+  }
+  
+  const broken = (check) => open.filter(k => check(game.schedule[String(k)], getPeriodPool(k)));
+  const report = (what, periods) => {
+    if (periods.length === 0) return;
+    // After a search that stopped early, a better schedule may still exist
+    const reason = build.exact === false ? "" : " without giving up equal time";
+    build.issues.push(`${what} not met in period${periods.length > 1 ? "s" : ""} ${periods.join(", ")}${reason}.`);
+  };
+  report("Tier minimums", broken((lineup, pool) => getCoverageShortfall(lineup, pool) > 0));
+  report("Position rules", broken((lineup, pool) => getPositionShortfall(lineup, pool) > 0));
+  report("Pair rules", broken((lineup, pool) => getPairViolations(lineup, pool).length > 0));
+  const streaks = getScheduleStreakBreaks();
+  report("Streak limits", open.filter(k => streaks[k]));
+  getPairDeficits().forEach(d => build.issues.push(`${formatPairDeficit(d)}.`));
+}
+
+// --- Greedy Fallback: one period at a time with STRICT Top Player Priority ---
+function selectFairLineup(period, pool, played) {
+  const poolIds = pool.map(p => p.id);
+  const season = getSeasonShares(period === 1);
+  
+  // Sort all players by: 1) time played (ascending), 2) skill tier (descending),
+  // 3) season share (ascending)
+  const sorted = poolIds.slice().sort((a, b) => {
+    const playedA = played[a] || 0;
+    const playedB = played[b] || 0;
+    
+    // Primary: fewest periods played
+    if (playedA !== playedB) return playedA - playedB;
+    
+    // Secondary: stronger tiers first
+    const tierA = getPlayer(a).skill;
+    const tierB = getPlayer(b).skill;
+    if (tierA !== tierB) return tierB - tierA;
+    
+    // Tertiary: whoever is behind over the season
+    if (season && season[a] !== season[b]) return season[a] - season[b];
+    
+    // Last: random
+    return random() - 0.5;
+  });
+  
+  // Take the first ON_COURT players (they have min periods and tier priority)
+  return sorted.slice(0, getOnCourt());
+}
+
+// --- Lineup Solver ---
+// Plans every unlocked period from `startPeriod` together. Equal time is a hard
+// constraint: how many periods each player gets is fixed first, then a
+// branch-and-bound search picks the lineups that meet those counts at the lowest
+// penalty. Each player a lineup is off by on a position rule or tier minimum
+// costs more than every other penalty combined, so those only give way when the
+// counts leave no other choice.
+// The budget counts every lineup looked at, not just the ones searched below, so
+// a build takes about the same time whatever the rules; it's a count rather than
+// a clock so the same seed still gives the same schedule on any device.
+const SOLVER_WORK_LIMIT = 30000; // Lineups looked at before settling for the best found
+const COVERAGE_WEIGHT = 1000;
+
+function solveSchedule(startPeriod) {
+  const ON_COURT = getOnCourt();
+  const PERIODS = getPeriods();
+  const issues = [];
+  
+  const periods = [];
+  for (let k = startPeriod; k <= PERIODS; k++) {
+    if (!game.locked[String(k)]) periods.push(k);
+  }
+  if (periods.length === 0) return { schedule: {}, issues, exact: true };
+  
+  const pools = {};
+  const slots = {};
+  periods.forEach(k => {
+    pools[k] = shuffle(getPeriodPool(k).map(p => p.id));
+    slots[k] = Math.min(ON_COURT, pools[k].length);
+    if (pools[k].length < ON_COURT) {
+      issues.push(`Period ${k}: only ${pools[k].length} players available (need ${ON_COURT}).`);
+    }
+  });
+  
+  // Periods each player can still attend, counted from each step of the search
+  const availFrom = periods.map((_, i) => {
+    const avail = {};
+    periods.slice(i).forEach(k => pools[k].forEach(id => avail[id] = (avail[id] || 0) + 1));
+    return avail;
+  });
+  
+  const counts = planPeriodCounts(periods, pools, slots, availFrom[0]);
+  const need = { ...counts };
+  const assigned = {};
+  let best = null;
+  let bestCost = Infinity;
+  let work = 0;
+  
+  // Lineups for step i that keep every player's count reachable
+  const lineupsFor = (i) => {
+    const k = periods[i];
+    const avail = availFrom[i];
+    const must = pools[k].filter(id => need[id] > 0 && need[id] === avail[id]);
+    const open = pools[k].filter(id => need[id] > 0 && need[id] < avail[id]);
+    if (must.length > slots[k]) return [];
+    return mapCombinations(open, slots[k] - must.length, combo => must.concat(combo));
+  };
+  
+  // Lower bound on the cost of steps i onwards, kept cheap with running totals:
+  // - a tier can't fill more minimum spots than its players' remaining counts
+  // - the remaining strength is fixed by the counts, so however it is split, the
+  //   periods together stray at least as far as its gap to their even total
+  const skillOf = (id) => getPlayer(id).skill;
+  const spotsFrom = [];
+  const evenFrom = [];
+  for (let i = periods.length; i >= 0; i--) {
+    const k = periods[i];
+    const pool = k ? pools[k].map(getPlayer) : [];
+    spotsFrom[i] = {};
+    TIERS.forEach(t => {
+      const spots = k ? Math.min(game.tierCoverage[t] || 0, pool.filter(p => p.skill === t).length) : 0;
+      spotsFrom[i][t] = spots + (i < periods.length ? spotsFrom[i + 1][t] : 0);
+    });
+    evenFrom[i] = (k && pool.length ? getEvenStrength(pool, slots[k]) : 0) + (i < periods.length ? evenFrom[i + 1] : 0);
+  }
+  const tierLeft = {};
+  TIERS.forEach(t => tierLeft[t] = 0);
+  let strengthLeft = 0;
+  Object.keys(need).forEach(id => {
+    tierLeft[skillOf(id)] += need[id];
+    strengthLeft += need[id] * skillOf(id);
+  });
+  
+  // Pair rules: periods together so far ("at least N"), and from each step how
+  // many planned periods both players can attend, or only one of them
+  const pairRules = getPairRules();
+  const minRules = pairRules.filter(r => r.type === "min");
+  const together = {};
+  minRules.forEach(r => together[r.id] = Object.keys(game.schedule)
+    .filter(k => game.schedule[k].includes(r.a) && game.schedule[k].includes(r.b)).length);
+  const jointFrom = periods.map((_, i) => {
+    const joint = {};
+    pairRules.forEach(r => {
+      const rest = periods.slice(i);
+      joint[r.id] = {
+        both: rest.filter(k => pools[k].includes(r.a) && pools[k].includes(r.b)).length,
+        onlyA: rest.filter(k => pools[k].includes(r.a) && !pools[k].includes(r.b)).length,
+        onlyB: rest.filter(k => !pools[k].includes(r.a) && pools[k].includes(r.b)).length
+      };
+    });
+    return joint;
+  });
+  
+  // Fewest rule breaks still to come for a pair: each player's remaining count
+  // pins down how often they play in periods both can attend
+  const pairBound = (i, r) => {
+    const needA = need[r.a] || 0;
+    const needB = need[r.b] || 0;
+    const { both, onlyA, onlyB } = i < periods.length ? jointFrom[i][r.id] : { both: 0, onlyA: 0, onlyB: 0 };
+    const lowA = Math.max(0, needA - onlyA);
+    const lowB = Math.max(0, needB - onlyB);
+    if (r.type === "min") return Math.max(0, r.periods - together[r.id] - Math.min(both, needA, needB));
+    if (r.type === "apart") return Math.max(0, lowA + lowB - both);
+    // Together: the ranges of shared-period counts for A and B can't meet
+    const highA = Math.min(needA, both);
+    const highB = Math.min(needB, both);
+    return Math.max(0, lowA - highB, lowB - highA);
+  };
+  
+  const take = (lineup, sign) => {
+    lineup.forEach(id => {
+      need[id] -= sign;
+      tierLeft[skillOf(id)] -= sign;
+      strengthLeft -= sign * skillOf(id);
+    });
+    minRules.forEach(r => {
+      if (lineup.includes(r.a) && lineup.includes(r.b)) together[r.id] += sign;
+    });
+  };
+  const lowerBound = (i) => {
+    const coverage = TIERS.reduce((sum, t) => sum + Math.max(0, spotsFrom[i][t] - tierLeft[t]), 0);
+    const strength = game.balanceStrength ? Math.abs(strengthLeft - evenFrom[i]) * 5 : 0;
+    const pairs = pairRules.reduce((sum, r) => sum + pairBound(i, r), 0);
+    return (coverage + pairs) * COVERAGE_WEIGHT + strength;
+  };
+  
+  const search = (i, cost) => {
+    if (i === periods.length) {
+      bestCost = cost + lowerBound(i);
+      best = { ...assigned };
+      return;
+    }
+    const k = periods[i];
+    const poolPlayers = pools[k].map(getPlayer);
+    const runs = getRunsBefore(k, { ...game.schedule, ...assigned });
+    const season = getSeasonShares(k === 1);
+    const candidates = [];
+    for (const lineup of lineupsFor(i)) {
+      if (work >= SOLVER_WORK_LIMIT) break;
+      work++;
+      take(lineup, 1);
+      const bound = lowerBound(i + 1);
+      take(lineup, -1);
+      // Costs are never negative, so the bound alone can rule a lineup out before it is scored
+      if (cost + bound >= bestCost) continue;
+      const total = cost + calculateLineupCost(lineup, poolPlayers, runs, season);
+      candidates.push({ lineup, cost: total, bound: total + bound });
+    }
+    candidates.sort((a, b) => a.bound - b.bound);
+    
+    for (const c of candidates) {
+      // Sorted by bound, so nothing further along can beat the best schedule
+      if (c.bound >= bestCost || work >= SOLVER_WORK_LIMIT) return;
+      assigned[k] = c.lineup;
+      take(c.lineup, 1);
+      search(i + 1, c.cost);
+      take(c.lineup, -1);
+      delete assigned[k];
+    }
+  };
+  search(0, 0);
+  
+  // Only a finished search proves that a rule can't be met
+  const exact = work < SOLVER_WORK_LIMIT;
+  if (!best) {
+    issues.push(exact
+      ? "Equal time can't be fitted into the players' availability windows; periods were filled one at a time instead."
+      : "Search stopped early without finding lineups for equal time; periods were filled one at a time instead.");
+    return { schedule: null, issues, exact };
+  }
+  
+  // Unmet tier minimums are reported after the lineup repair, for every mode
+  if (!exact) issues.push("Search stopped early; the result may not be optimal.");
+  issues.push(...explainCounts(counts, availFrom[0]));
+  
+  return { schedule: best, issues, exact };
+}
+
+// Periods per player for the planned periods. Periods with no bench are forced;
+// every other slot goes to whoever is furthest behind their fair share
+// (ties: stronger tier, then season share, then random).
+function planPeriodCounts(periods, pools, slots, avail) {
+  const ON_COURT = getOnCourt();
+  const length = getPeriodSeconds();
+  const played = getPlayedSeconds(getPeriods() + 1);
+  const targets = getFairTargets(getPeriods() + 1);
+  const season = getSeasonShares(false);
+  const ids = shuffle(Object.keys(avail));
+  const counts = {};
+  ids.forEach(id => counts[id] = 0);
+  
+  let free = 0;
+  periods.forEach(k => {
+    if (pools[k].length <= ON_COURT) pools[k].forEach(id => counts[id]++);
+    else free += slots[k];
+  });
+  
+  const forced = { ...counts };
+  const relative = (id) => Math.round((played[id] || 0) + (counts[id] || 0) * length - targets[id]);
+  const behind = (a, b) => {
+    if (relative(a) !== relative(b)) return relative(a) - relative(b);
+    const tierA = getPlayer(a).skill;
+    const tierB = getPlayer(b).skill;
+    if (tierA !== tierB) return tierB - tierA;
+    if (season && season[a] !== season[b]) return season[a] - season[b];
+    return 0;
+  };
+  
+  for (; free > 0; free--) {
+    const next = ids.filter(id => counts[id] < avail[id]).sort(behind)[0];
+    if (!next) break;
+    counts[next]++;
+  }
+  
+  // Top priority: hand periods from the lower-tier players furthest ahead to
+  // top-tier players more than half a period behind, while the spread stays within a period
+  const everyone = getActivePool().map(p => p.id);
+  const spread = () => {
+    const values = everyone.map(relative);
+    return { min: Math.min(...values), max: Math.max(...values) };
+  };
+  for (;;) {
+    const { max } = spread();
+    const top = ids.find(id => isTop(getPlayer(id)) && counts[id] < avail[id] && max - relative(id) > length / 2);
+    const donor = ids
+      .filter(id => !isTop(getPlayer(id)) && counts[id] > forced[id])
+      .sort((a, b) => relative(b) - relative(a))[0];
+    if (!top || !donor) break;
+    
+    counts[top]++;
+    counts[donor]--;
+    const after = spread();
+    if (after.max - after.min > length) {
+      counts[top]--;
+      counts[donor]++;
+      break;
+    }
+  }
+  return counts;
+}
+
+// Names the players who keep the planned counts from meeting the fairness rules
+function explainCounts(counts, avail) {
+  const pool = getActivePool();
+  const length = getPeriodSeconds();
+  const played = getPlayedSeconds(getPeriods() + 1);
+  const targets = getFairTargets(getPeriods() + 1);
+  const relative = {};
+  pool.forEach(p => relative[p.id] = (played[p.id] || 0) + (counts[p.id] || 0) * length - targets[p.id]);
+  
+  const values = Object.values(relative);
+  if (values.length === 0) return [];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const capped = (p) => (counts[p.id] || 0) >= (avail[p.id] || 0);
+  
+  if (max - min > length) {
+    const behind = pool.filter(p => relative[p.id] < max - length);
+    const ahead = pool.filter(p => relative[p.id] > min + length);
+    const reasons = [
+      ...behind.filter(capped).map(p => `${p.name} can only play ${avail[p.id] || 0} of the remaining periods`),
+      ...ahead.map(p => `${p.name} already has ${formatClock(played[p.id] || 0)} on court`)
+    ];
+    return [`Equal time can't be met: ${reasons.join("; ") || "too few periods left to even out"}.`];
+  }
+  
+  const topsBehind = pool.filter(p => isTop(p) && max - relative[p.id] > length / 2);
+  if (max > min && topsBehind.length > 0) {
+    const reasons = topsBehind.map(p => capped(p)
+      ? `${p.name} can only play ${avail[p.id] || 0} of the remaining periods`
+      : `more time for ${p.name} would put others over a period behind`);
+    return [`Top priority can't be met: ${reasons.join("; ")}.`];
+  }
+  return [];
+}
+
+// Position, pair, streak and tier rules, then strength and season penalties for one lineup; 0 is ideal
+function calculateLineupCost(lineup, pool, runs, season) {
+  const broken = getPositionShortfall(lineup, pool) + getPairViolations(lineup, pool).length +
+    getStreakBreaks(lineup, pool, runs).length + getCoverageShortfall(lineup, pool);
+  return broken * COVERAGE_WEIGHT +
+    calculateStrengthPenalty(lineup, pool) +
+    calculateSeasonPenalty(lineup, season);
+}
+
+// Every way to choose `size` items from `items`, in order, passed through `fn`.
+// Built one at a time, so a caller that stops early doesn't pay for the rest.
+function* mapCombinations(items, size, fn, chosen = []) {
+  if (size === 0) {
+    yield fn(chosen);
+    return;
+  }
+  for (let i = 0; i <= items.length - size; i++) {
+    yield* mapCombinations(items.slice(i + 1), size - 1, fn, [...chosen, items[i]]);
+  }
+}
+
+// --- Fair Optimized Mode ---
+function buildFairOptimized(startPeriod) {
+  const pool = getActivePool();
+  const ON_COURT = getOnCourt();
+  const PERIODS = getPeriods();
+  
+  if (pool.length < ON_COURT) {
+    build.issues.push(`Need ${ON_COURT} active players.`);
+    return;
+  }
+  
+  const { schedule, issues, exact } = solveSchedule(startPeriod);
+  build.issues.push(...issues);
+  build.exact = exact;
+  
+  if (schedule) {
+    Object.keys(schedule).forEach(k => game.schedule[k] = schedule[k]);
+    return;
+  }
+  
+  // No schedule meets the counts: fill period by period, furthest behind first
+  for (let k = startPeriod; k <= PERIODS; k++) {
+    if (game.locked[String(k)]) continue;
+    
+    const periodPool = getPeriodPool(k);
+    if (periodPool.length <= ON_COURT) {
+      game.schedule[String(k)] = periodPool.map(p => p.id);
+      continue;
+    }
+    game.schedule[String(k)] = selectFairLineup(k, periodPool, getRelativeTime(k));
+  }
+  verifyFairness();
+}
+
+// --- Sliding Fixed Mode: Uses predetermined rotation patterns (NO TOP priority) ---
+function buildSlidingFixed(startPeriod) {
+  const pool = getActivePool();
+  const ON_COURT = getOnCourt();
+  const PERIODS = getPeriods();
+  
+  if (pool.length < ON_COURT) {
+    build.issues.push(`Need ${ON_COURT} active players.`);
+    return;
+  }
+  
+  if (pool.length === ON_COURT) {
+    for (let k = startPeriod; k <= PERIODS; k++) {
+      if (!game.locked[String(k)]) game.schedule[String(k)] = getPeriodPool(k).map(p => p.id);
+    }
+    return;
+  }
+
+  // Get player IDs in roster order exactly as arranged (order matters!)
+  const poolIds = pool.map(p => p.id);
+  const numPlayers = poolIds.length;
+  
+  const pattern = getRotationPattern(numPlayers);
+  
+  // Apply the pattern using roster order exactly as is
+  for (let k = startPeriod; k <= PERIODS; k++) {
+    if (game.locked[String(k)]) continue;
+    
+    const periodIndex = k - 1; // 0-based index
+    const positions = pattern[periodIndex];
+    
+    // Map positions to actual player IDs
+    const lineup = positions.map(pos => poolIds[pos]);
+    game.schedule[String(k)] = fillUnavailable(k, lineup);
+  }
+}
+
+// --- Sliding Adaptive Mode: Sliding pattern with TOP player priority ---
+function buildSlidingAdaptive(startPeriod) {
+  const pool = getActivePool();
+  const ON_COURT = getOnCourt();
+  const PERIODS = getPeriods();
+  
+  if (pool.length < ON_COURT) {
+    build.issues.push(`Need ${ON_COURT} active players.`);
+    return;
+  }
+  
+  if (pool.length === ON_COURT) {
+    for (let k = startPeriod; k <= PERIODS; k++) {
+      if (!game.locked[String(k)]) game.schedule[String(k)] = getPeriodPool(k).map(p => p.id);
+    }
+    return;
+  }
+
+  const numPlayers = pool.length;
+  
+  // First, calculate how many periods each player SHOULD get for fairness
+  const totalSlots = PERIODS * ON_COURT;
+  const avgPeriods = totalSlots / numPlayers;
+  const minPeriods = Math.floor(avgPeriods);
+  const maxPeriods = Math.ceil(avgPeriods);
+  
+  // Calculate how many players get max vs min
+  const playersWithMax = Math.round((avgPeriods - minPeriods) * numPlayers);
+  const playersWithMin = numPlayers - playersWithMax;
+  
+  // Sort pool: TOP tier first, then the others by tier; within each, whoever is behind over the season
+  const season = getSeasonShares(false) || {};
+  const bySeason = (a, b) => (season[a.id] || 0) - (season[b.id] || 0);
+  const topPlayers = pool.filter(isTop).sort(bySeason);
+  const nonTopPlayers = pool.filter(p => !isTop(p)).sort((a, b) => b.skill - a.skill || bySeason(a, b));
+  
+  // Assign target periods: TOP players get maxPeriods, fill remaining with non-top
+  const targetPeriods = {};
+  let maxSlotsLeft = playersWithMax;
+  
+  // Give TOP players the max periods first
+  topPlayers.forEach(p => {
+    if (maxSlotsLeft > 0) {
+      targetPeriods[p.id] = maxPeriods;
+      maxSlotsLeft--;
+    } else {
+      targetPeriods[p.id] = minPeriods;
+    }
+  });
+  
+  // Give remaining players the remaining slots
+  nonTopPlayers.forEach(p => {
+    if (maxSlotsLeft > 0) {
+      targetPeriods[p.id] = maxPeriods;
+      maxSlotsLeft--;
+    } else {
+      targetPeriods[p.id] = minPeriods;
+    }
+  });
+  
+  // Same pattern as sliding fixed
+  const pattern = getRotationPattern(numPlayers);
+  
+  // Reorder the pool to put TOP players in positions that get more playing time
+  // We need to figure out which positions in the pattern play the most
+  const positionCounts = Array(numPlayers).fill(0);
+  pattern.forEach(periodPositions => {
+    periodPositions.forEach(pos => {
+      positionCounts[pos]++;
+    });
+  });
+  
+  // Create array of [position, count] and sort by count (descending)
+  const positionsByPlayTime = positionCounts
+    .map((count, pos) => ({ pos, count }))
+    .sort((a, b) => b.count - a.count);
+  
+  // Create optimized roster order: assign TOP players to high-play positions
+  const optimizedRoster = Array(numPlayers).fill(null);
+  
+  let topIndex = 0;
+  let nonTopIndex = 0;
+  
+  positionsByPlayTime.forEach(({ pos, count }) => {
+    if (topIndex < topPlayers.length) {
+      optimizedRoster[pos] = topPlayers[topIndex++];
+    } else {
+      optimizedRoster[pos] = nonTopPlayers[nonTopIndex++];
+    }
+  });
+  
+  // Get optimized player IDs
+  const optimizedIds = optimizedRoster.map(p => p.id);
+  
+  // Apply the pattern with optimized roster
+  for (let k = startPeriod; k <= PERIODS; k++) {
+    if (game.locked[String(k)]) continue;
+    
+    const periodIndex = k - 1;
+    const positions = pattern[periodIndex];
+    
+    const lineup = positions.map(pos => optimizedIds[pos]);
+    game.schedule[String(k)] = fillUnavailable(k, lineup);
+  }
+  
+  verifyFairness();
+}
+
+// --- True Random Fair Mode: Random mix each period while maintaining fairness ---
+function buildTrueRandomFair(startPeriod) {
+  const pool = getActivePool();
+  const ON_COURT = getOnCourt();
+  const PERIODS = getPeriods();
+  
+  if (pool.length < ON_COURT) {
+    build.issues.push(`Need ${ON_COURT} active players.`);
+    return;
+  }
+  
+  if (pool.length === ON_COURT) {
+    for (let k = startPeriod; k <= PERIODS; k++) {
+      if (!game.locked[String(k)]) game.schedule[String(k)] = getPeriodPool(k).map(p => p.id);
+    }
+    return;
+  }
+
+  // Build each period with maximum randomness while maintaining fairness
+  for (let k = startPeriod; k <= PERIODS; k++) {
+    if (game.locked[String(k)]) continue;
+    
+    const poolIds = getPeriodPool(k).map(p => p.id);
+    const played = getRelativeTime(k);
+    const season = getSeasonShares(k === 1) || {};
+    
+    // Group players by time played, least time first
+    const times = [...new Set(poolIds.map(id => played[id] || 0))].sort((a, b) => a - b);
+    const lineup = [];
+    
+    for (const time of times) {
+      // Take everyone from lower tiers, randomly fill the rest from this one
+      // (players behind over the season go first)
+      const tier = shuffle(poolIds.filter(id => (played[id] || 0) === time))
+        .sort((a, b) => (season[a] || 0) - (season[b] || 0));
+      const needed = ON_COURT - lineup.length;
+      lineup.push(...tier.slice(0, needed));
+      if (lineup.length === ON_COURT) break;
+    }
+    
+    game.schedule[String(k)] = lineup;
+  }
+  
+  verifyFairness();
+}
+
+// --- Rotation Pattern Generator ---
+// Builds a sliding pattern for any period count: slots are filled in roster order,
+// wrapping around, and each full pass over the roster starts one position later so
+// the same groups don't repeat. Every position ends up with the same time (+/- 1 period).
+function generateSlidingPattern(numPlayers, onCourt, periods) {
+  const pattern = [];
+  let slot = 0;
+  
+  for (let k = 0; k < periods; k++) {
+    const positions = [];
+    for (let i = 0; i < onCourt; i++) {
+      const pass = Math.floor(slot / numPlayers);
+      positions.push((slot + pass) % numPlayers);
+      slot++;
+    }
+    pattern.push(positions);
+  }
+  
+  return pattern;
+}
+
+// The pattern the sliding modes follow: the chosen custom pattern when it fits
+// the roster, otherwise one generated for this size
+function getRotationPattern(numPlayers) {
+  const custom = game.patterns.find(p => p.id === game.patternId);
+  if (custom && !patternFits(custom, numPlayers)) {
+    build.issues.push(`Pattern "${custom.name}" doesn't fit ${numPlayers} players; used the default pattern.`);
+  }
+  return custom && patternFits(custom, numPlayers) ? custom.grid : getDefaultPattern(numPlayers);
+}
+
+const patternFits = (p, numPlayers) =>
+  p.players === numPlayers && p.onCourt === getOnCourt() && p.periods === getPeriods();
+
+function getDefaultPattern(numPlayers) {
+  return generateSlidingPattern(numPlayers, getOnCourt(), getPeriods());
+}
+
+// Per-position totals for a pattern grid, and what keeps it from being used:
+// every period needs exactly `onCourt` players and totals may differ by one at most
+function checkPattern(grid, numPlayers, onCourt) {
+  const totals = Array(numPlayers).fill(0);
+  const errors = [];
+  grid.forEach((positions, k) => {
+    positions.forEach(pos => totals[pos]++);
+    if (positions.length !== onCourt) {
+      errors.push(`Period ${k + 1} has ${positions.length} on court (needs ${onCourt}).`);
+    }
+  });
+  const min = Math.min(...totals);
+  const max = Math.max(...totals);
+  if (max - min > 1) errors.push(`Unequal time: positions play between ${min} and ${max} periods.`);
+  return { totals, errors };
+}
+
+// Checks the whole schedule against the fairness rules. Returns the broken rules
+// as [{ rule, message }]; empty when the schedule is fair.
+// Time is compared to each player's fair share, so late arrivals aren't flagged.
+function checkFairness() {
+  const pool = getActivePool();
+  const PERIODS = getPeriods();
+  const length = getPeriodSeconds();
+  const relative = getRelativeTime(PERIODS + 1);
+  const played = pool.map(p => relative[p.id]);
+  
+  if (played.length === 0) return [];
+  
+  const min = Math.min(...played);
+  const max = Math.max(...played);
+  
+  // Check basic fairness (max 1 period of minutes difference)
+  if (max - min > length) {
+    return [{
+      rule: "spread",
+      message: `Playing time differs by more than one period (${formatClock(max - min)} apart, after availability).`
+    }];
+  }
+  
+  // STRICT CHECK: If there's unequal time, ALL TOP players must have MAX minutes
+  // (within half a period, so a short substitution doesn't count against them)
+  if (max > min) {
+    const behind = pool.filter(p => isTop(p) && max - relative[p.id] > length / 2);
+    
+    if (behind.length > 0) {
+      return [{
+        rule: "top",
+        message: `Top-tier players without max time: ${behind.map(p => p.name).join(", ")}.`
+      }];
+    }
+  }
+  
+  return [];
+}
+
+// Everything the fairness panel shows, for the whole schedule:
+// - spread: fewest and most periods played by active players, and whether that
+//   stays within one period of court time once availability is allowed for
+// - players: periods and seconds played, seconds over (+) or under (-) their fair
+//   share, and their longest runs on court and on the bench
+// - coverage: per scheduled period, the top-tier players on court and how many
+//   players the tier minimums are short
+// - violations: [{ period, message }] for every broken rule; period is null for
+//   rules about the whole game
+function getFairnessReport() {
+  const PERIODS = getPeriods();
+  const pool = getActivePool();
+  const counts = getPlayedCounts(PERIODS + 1);
+  const seconds = getPlayedSeconds(PERIODS + 1);
+  const relative = getRelativeTime(PERIODS + 1);
+  
+  // Longest runs, following the same rules as the streak limits
+  const longest = {};
+  game.players.forEach(p => longest[p.id] = { on: 0, off: 0 });
+  const runs = getRunsBefore(1);
+  for (let k = 1; k <= PERIODS; k++) {
+    advanceRuns(runs, k, game.schedule[String(k)]);
+    game.players.forEach(p => {
+      longest[p.id].on = Math.max(longest[p.id].on, runs[p.id].on);
+      longest[p.id].off = Math.max(longest[p.id].off, runs[p.id].off);
+    });
+  }
+  
+  const played = pool.map(p => counts[p.id] || 0);
+  const fairness = checkFairness();
+  const spread = {
+    min: played.length ? Math.min(...played) : 0,
+    max: played.length ? Math.max(...played) : 0,
+    fair: !fairness.some(issue => issue.rule === "spread")
+  };
+  
+  const players = pool.map(p => ({
+    id: p.id,
+    name: p.name,
+    periods: counts[p.id] || 0,
+    seconds: seconds[p.id] || 0,
+    diff: relative[p.id] || 0,
+    longestOn: longest[p.id].on,
+    longestBench: longest[p.id].off
+  }));
+  
+  const coverage = [];
+  const violations = fairness.map(issue => ({ period: null, message: issue.message }));
+  const streaks = getScheduleStreakBreaks();
+  for (let k = 1; k <= PERIODS; k++) {
+    const lineup = game.schedule[String(k)];
+    if (!lineup) continue;
+    const periodPool = getPeriodPool(k);
+    const shortfall = getCoverageShortfall(lineup, periodPool);
+    coverage.push({ period: k, tops: lineup.filter(id => isTop(getPlayer(id))), shortfall });
+    
+    const messages = [
+      ...(shortfall > 0 ? [`tier minimums short by ${shortfall}`] : []),
+      ...getPositionViolations(lineup, periodPool).map(v => v.message),
+      ...getPairViolations(lineup, periodPool),
+      ...(streaks[k] || [])
+    ];
+    messages.forEach(message => violations.push({ period: k, message }));
+  }
+  getPairDeficits().forEach(d => violations.push({ period: null, message: formatPairDeficit(d) }));
+  
+  return { spread, players, coverage, violations };
+}
+
+// Measures for comparing candidate schedules:
+// - fair: no fairness rule broken; spread: most minus fewest periods played
+// - covered: scheduled periods that meet the tier minimums, out of `periods`
+// - streakBreaks: periods pushed past the streak limits, summed over players
+// - violations: every broken rule in the fairness report
+// - variety: share of teammate pairs (0-1) that are on court together at least once
+function scoreSchedule() {
+  const report = getFairnessReport();
+  const ids = getActivePool().map(p => p.id);
+  const pairs = new Set();
+  Object.values(game.schedule).forEach(lineup => lineup.forEach(a => lineup.forEach(b => {
+    if (a < b && ids.includes(a) && ids.includes(b)) pairs.add(`${a}|${b}`);
+  })));
+  const possible = ids.length * (ids.length - 1) / 2;
+  
+  return {
+    fair: checkFairness().length === 0,
+    spread: report.spread.max - report.spread.min,
+    covered: report.coverage.filter(c => c.shortfall === 0).length,
+    periods: report.coverage.length,
+    streakBreaks: Object.values(getScheduleStreakBreaks()).reduce((sum, breaks) => sum + breaks.length, 0),
+    violations: report.violations.length,
+    variety: possible ? pairs.size / possible : 0
+  };
+}
+
+// Adds the first broken fairness rule to the build's issues
+function verifyFairness() {
+  const issues = checkFairness();
+  if (issues.length > 0) build.issues.push(issues[0].message);
+}
+
+// --- Building ---
+// Clears and rebuilds every unlocked period from `startPeriod` with the game's
+// rotation mode, then repairs lineups that break rules
+function runBuilder(startPeriod) {
+  const PERIODS = getPeriods();
+  for (let k = startPeriod; k <= PERIODS; k++) {
+    if (!game.locked[String(k)]) {
+      delete game.schedule[String(k)];
+      delete game.subs[String(k)];
+    }
+  }
+  
+  switch(game.mode) {
+    case 'sliding_fixed':
+      buildSlidingFixed(startPeriod);
+      break;
+    case 'sliding_adaptive':
+      buildSlidingAdaptive(startPeriod);
+      break;
+    case 'true_random_fair':
+      buildTrueRandomFair(startPeriod);
+      break;
+    case 'fair_optimized':
+    default:
+      buildFairOptimized(startPeriod);
+      break;
+  }
+  repairLineups(startPeriod);
+}
+
+// Builds a schedule without changing `input`. Options:
+// - startPeriod: first period to rebuild; earlier and locked periods are kept
+// - season: { starts, periods } season shares (player id -> 0-1) from past games, or null
+// Returns { schedule, subs, seed, issues }: the whole schedule, the substitutions
+// left once rebuilt periods drop theirs, the seed it was built with (the game's
+// own, or a fresh one), and the rules it couldn't meet.
+function buildSchedule(input, { startPeriod = 1, season = null } = {}) {
+  const seed = input.seed || String(Math.floor(Math.random() * 1000000));
+  const working = {
+    ...input,
+    schedule: { ...input.schedule },
+    locked: { ...input.locked },
+    subs: { ...input.subs }
+  };
+  
+  const outer = build;
+  build = { season, issues: [] };
+  try {
+    seedRandom(seed);
+    withGame(runBuilder)(working, startPeriod);
+    return { schedule: working.schedule, subs: working.subs, seed, issues: build.issues };
+  } finally {
+    build = outer;
+  }
+}
+
+// --- Saved State ---
+// The app's saved games, share links and exported files all come through
+// migrateState, and so does the CLI's roster input
+const STATE_VERSION = 3;
+const MAX_PERIODS = 12;
+const MAX_ON_COURT = 8;
+
+// Helper: unique ID
+const uid = () => Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+// Default State
+function defaultState() {
+  return {
+    version: STATE_VERSION,
+    gameMode: "4v4", // Format id, see FORMATS and `formats`
+    formats: [], // Custom formats: [{ id, name, onCourt, periods, periodMinutes, positionRules }]
+    mode: "fair_optimized",
+    currentPeriod: 1,
+    periods: DEFAULT_PERIODS,
+    periodMinutes: 5,
+    tierCoverage: { 3: 1, 2: 0, 1: 0 }, // Minimum players of each tier on court
+    balanceStrength: true,
+    positionRules: defaultPositionRules(), // game mode -> position -> { min, max }
+    pairRules: [], // [{ id, a, b, type: "together" | "apart" | "min", periods }]
+    patterns: [], // Custom sliding patterns: [{ id, name, players, onCourt, periods, grid }]
+    patternId: "", // Chosen custom pattern; empty = built-in/generated
+    maxOnStreak: 0, // Most periods in a row on court; 0 = no limit
+    maxBenchStreak: 0, // Most periods in a row on the bench; 0 = no limit
+    seasonBalance: true,
+    autoRebuild: false,
+    seed: "", // Empty: a fresh random seed on every rebuild
+    lastSeed: "", // Seed the current schedule was built with
+    players: [], // Start with empty roster
+    schedule: {},
+    locked: {},
+    subs: {}, // period -> [{ clock, in, out }], clock = seconds left on the game clock
+    clock: defaultClock()
+  };
+}
+
+// Lineup requirements per game format; a missing max means no limit
+function defaultPositionRules() {
+  return Object.fromEntries(FORMATS.map(f => [f.id, JSON.parse(JSON.stringify(f.positionRules))]));
+}
+
+// Live clock for the current period: seconds elapsed before the last start
+function defaultClock() {
+  return { running: false, startedAt: null, elapsed: 0, alerted: false };
+}
+
+// --- Schema & Migrations ---
+// MIGRATIONS[v] upgrades a saved state from version v to v + 1
+const MIGRATIONS = [
+  // 0 -> 1: unversioned data (the _v8 key and older keys). Same shape,
+  // validation below fills in anything missing.
+  (s) => ({ ...s, version: 1 }),
+  // 1 -> 2: the Top flag becomes skill tier 3, Top-2 coverage becomes a tier 3 minimum
+  (s) => {
+    const { topTwoCoverage, ...rest } = s;
+    return {
+      ...rest,
+      version: 2,
+      tierCoverage: { 3: topTwoCoverage === false ? 0 : 1, 2: 0, 1: 0 },
+      players: Array.isArray(s.players)
+        ? s.players.map(p => {
+          if (!isObject(p)) return p;
+          const { top, ...player } = p;
+          return { ...player, skill: top ? 3 : 2 };
+        })
+        : s.players
+    };
+  },
+  // 2 -> 3: "Avoid long streaks" becomes a hard limit of 2 in a row on court
+  (s) => {
+    const { avoidStreaks, ...rest } = s;
+    return { ...rest, version: 3, maxOnStreak: avoidStreaks ? 2 : 0, maxBenchStreak: 0 };
+  }
+];
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// Brings any saved state up to STATE_VERSION and checks its shape.
+// Throws when the data can't be used at all; smaller problems are fixed
+// and listed in `problems`.
+function migrateState(data) {
+  if (!isObject(data)) throw new Error("Saved data is not a game state.");
+  
+  let version = Number(data.version) || 0;
+  if (version > STATE_VERSION) {
+    throw new Error(`Saved data is from a newer version of the app (v${version}).`);
+  }
+  
+  let migrated = data;
+  while (version < STATE_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version++;
+  }
+  return validateState(migrated);
+}
+
+function validateState(data) {
+  if (!Array.isArray(data.players)) throw new Error("Roster is missing or not a list.");
+  
+  const problems = [];
+  const valid = { ...defaultState(), ...data, version: STATE_VERSION };
+  
+  // Players: need a name; ids must be unique
+  const ids = new Set();
+  valid.players = [];
+  data.players.forEach((p, i) => {
+    if (!isObject(p) || typeof p.name !== "string") {
+      problems.push(`Dropped unreadable player #${i + 1}.`);
+      return;
+    }
+    const id = typeof p.id === "string" && p.id && !ids.has(p.id) ? p.id : uid();
+    ids.add(id);
+    const period = (v) => Number.isInteger(v) && v >= 1 ? v : null;
+    valid.players.push({
+      ...p,
+      id,
+      skill: TIERS.includes(p.skill) ? p.skill : 2,
+      positions: Array.isArray(p.positions) ? Object.keys(POSITIONS).filter(pos => p.positions.includes(pos)) : [],
+      available: p.available !== false,
+      out: !!p.out,
+      fromPeriod: period(p.fromPeriod),
+      untilPeriod: period(p.untilPeriod)
+    });
+  });
+  
+  if (!(Number.isInteger(valid.periods) && valid.periods >= 2 && valid.periods <= MAX_PERIODS)) {
+    valid.periods = DEFAULT_PERIODS;
+  }
+  if (!(valid.periodMinutes > 0)) valid.periodMinutes = defaultState().periodMinutes;
+  valid.currentPeriod = Math.min(Math.max(1, Number(valid.currentPeriod) || 1), valid.periods);
+  
+  // Schedule: one lineup of known players per period in range
+  valid.schedule = {};
+  Object.entries(isObject(data.schedule) ? data.schedule : {}).forEach(([k, lineup]) => {
+    const period = Number(k);
+    if (!(Number.isInteger(period) && period >= 1 && period <= valid.periods) || !Array.isArray(lineup)) {
+      problems.push(`Dropped unreadable lineup for period ${k}.`);
+      return;
+    }
+    const known = lineup.filter(id => ids.has(id));
+    if (known.length !== lineup.length) problems.push(`Removed unknown players from period ${k}.`);
+    valid.schedule[String(period)] = known;
+  });
+  
+  valid.locked = {};
+  Object.entries(isObject(data.locked) ? data.locked : {}).forEach(([k, v]) => {
+    if (v && valid.schedule[k]) valid.locked[k] = true;
+  });
+  
+  valid.subs = {};
+  Object.entries(isObject(data.subs) ? data.subs : {}).forEach(([k, subs]) => {
+    if (!valid.schedule[k] || !Array.isArray(subs)) return;
+    valid.subs[k] = subs.filter(sub => isObject(sub) && sub.clock >= 0 && sub.clock <= valid.periodMinutes * 60 &&
+      ids.has(sub.in) && ids.has(sub.out));
+    if (valid.subs[k].length !== subs.length) problems.push(`Dropped unreadable substitutions in period ${k}.`);
+  });
+  
+  if (!isObject(data.clock)) valid.clock = defaultClock();
+  const coverage = isObject(data.tierCoverage) ? data.tierCoverage : defaultState().tierCoverage;
+  valid.tierCoverage = {};
+  TIERS.forEach(t => {
+    const min = Number(coverage[t]);
+    valid.tierCoverage[t] = Number.isInteger(min) && min >= 0 && min <= MAX_ON_COURT ? min : 0;
+  });
+  valid.positionRules = {};
+  Object.entries(isObject(data.positionRules) ? data.positionRules : defaultPositionRules()).forEach(([mode, rules]) => {
+    valid.positionRules[mode] = validatePositionRules(rules);
+  });
+  valid.formats = (Array.isArray(data.formats) ? data.formats : []).filter(f =>
+    isObject(f) && typeof f.id === "string" && typeof f.name === "string" && !FORMATS.some(b => b.id === f.id) &&
+    Number.isInteger(f.onCourt) && f.onCourt >= 2 && f.onCourt <= MAX_ON_COURT
+  ).map(f => ({
+    id: f.id,
+    name: f.name,
+    onCourt: f.onCourt,
+    periods: Number.isInteger(f.periods) && f.periods >= 2 && f.periods <= MAX_PERIODS ? f.periods : DEFAULT_PERIODS,
+    periodMinutes: f.periodMinutes > 0 ? f.periodMinutes : 5,
+    positionRules: validatePositionRules(f.positionRules)
+  }));
+  if (Array.isArray(data.formats) && valid.formats.length !== data.formats.length) {
+    problems.push("Dropped unreadable game formats.");
+  }
+  if (![...FORMATS, ...valid.formats].some(f => f.id === valid.gameMode)) valid.gameMode = "4v4";
+  valid.pairRules = (Array.isArray(data.pairRules) ? data.pairRules : []).filter(r =>
+    isObject(r) && ids.has(r.a) && ids.has(r.b) && r.a !== r.b && r.type in PAIR_TYPES
+  ).map(r => ({
+    id: typeof r.id === "string" ? r.id : uid(),
+    a: r.a,
+    b: r.b,
+    type: r.type,
+    periods: Number.isInteger(r.periods) && r.periods >= 1 ? r.periods : 1
+  }));
+  valid.patterns = (Array.isArray(data.patterns) ? data.patterns : []).filter(p =>
+    isObject(p) && typeof p.name === "string" && Number.isInteger(p.players) && Number.isInteger(p.onCourt) &&
+    Array.isArray(p.grid) && p.grid.length === p.periods &&
+    p.grid.every(l => Array.isArray(l) && l.every(pos => Number.isInteger(pos) && pos >= 0 && pos < p.players))
+  ).map(p => ({ id: typeof p.id === "string" ? p.id : uid(), name: p.name, players: p.players, onCourt: p.onCourt, periods: p.periods, grid: p.grid }));
+  if (Array.isArray(data.patterns) && valid.patterns.length !== data.patterns.length) {
+    problems.push("Dropped unreadable rotation patterns.");
+  }
+  if (!valid.patterns.some(p => p.id === valid.patternId)) valid.patternId = "";
+  ["maxOnStreak", "maxBenchStreak"].forEach(key => {
+    if (!(Number.isInteger(valid[key]) && valid[key] >= 0 && valid[key] <= MAX_PERIODS)) valid[key] = 0;
+  });
+  if (typeof valid.seed !== "string") valid.seed = "";
+  if (typeof valid.lastSeed !== "string") valid.lastSeed = "";
+  
+  return { state: valid, problems };
+}
+
+// Keeps the known positions with a whole-number min and/or max
+function validatePositionRules(rules) {
+  const limit = (v) => Number.isInteger(v) && v >= 0 && v <= MAX_ON_COURT ? v : undefined;
+  const valid = {};
+  Object.keys(POSITIONS).forEach(pos => {
+    const rule = isObject(rules) && isObject(rules[pos]) ? rules[pos] : {};
+    const min = limit(rule.min);
+    const max = limit(rule.max);
+    if (min !== undefined || max !== undefined) valid[pos] = { min, max };
+  });
+  return valid;
+}
+
+const readers = {
+  getFormats, getFormat, getOnCourt, getPeriods, getPlayer, getName,
+  getActivePool, isAvailableIn, getPeriodPool, getPeriodSeconds, getSubs,
+  getPlayedSeconds, getPlayedCounts, getFinalLineup, getFairTargets, getRelativeTime,
+  fillUnavailable, getScheduleStreakBreaks, getCoverageShortfall, getPositionRules,
+  getPositionViolations, getPairRules, getPairViolations, getPairDeficits,
+  formatPairDeficit, getDefaultPattern, patternFits, checkFairness, getFairnessReport,
+  scoreSchedule
+};
+
+return {
+  DEFAULT_PERIODS,
+  TIERS,
+  POSITIONS,
+  PAIR_TYPES,
+  FORMATS,
+  buildSchedule,
+  isTop,
+  formatClock,
+  checkPattern,
+  generateSlidingPattern,
+  STATE_VERSION,
+  MAX_PERIODS,
+  MAX_ON_COURT,
+  uid,
+  isObject,
+  defaultState,
+  defaultPositionRules,
+  defaultClock,
+  migrateState,
+  validatePositionRules,
+  // Helpers that read a game, called as fn(game, ...args)
+  ...Object.fromEntries(Object.entries(readers).map(([name, fn]) => [name, withGame(fn)]))
+};
+});
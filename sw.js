@@ -1 +1,116 @@
-self.addEventListener('fetch', e => {});
\ No newline at end of file
+// Offline support: precaches the app shell and serves it cache-first.
+// Each page load checks the shell against the network in the background, so
+// changed files reach installed clients without a version bump (see checkShell).
+// CACHE_VERSION only needs bumping when this worker itself changes; the page
+// then offers a reload, and the old caches are deleted once the new worker takes over.
+const CACHE_VERSION = 5;
+const CACHE_PREFIX = "rotation-planner-";
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+const PRECACHE = [
+  "./",
+  "index.html",
+  "scheduler.js",
+  "app.js",
+  "styles.css",
+  "manifest.webmanifest",
+  "favicon.svg",
+  "favicon-180.png",
+  "favicon-192.png",
+  "favicon-512.png"
+];
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE)));
+  // No skipWaiting here: a new version waits until the page asks for it
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Sent by the "Update available" banner
+self.addEventListener("message", (e) => {
+  if (e.data === "skipWaiting") self.skipWaiting();
+});
+
+// A changed shell is staged here and only moved into CACHE_NAME on the next
+// page load, so a page never gets files from two versions
+const STAGING_NAME = `${CACHE_NAME}-next`;
+
+// Asks for each file with the cached copy's ETag/Last-Modified, so unchanged
+// files cost a 304 and no download. Returns the new response, or null if unchanged.
+async function fetchIfChanged(url, cached) {
+  const etag = cached && cached.headers.get("ETag");
+  const modified = cached && cached.headers.get("Last-Modified");
+  const headers = {};
+  if (etag) headers["If-None-Match"] = etag;
+  if (modified) headers["If-Modified-Since"] = modified;
+  
+  const response = await fetch(url, { cache: "no-store", headers });
+  if (response.status === 304) return null;
+  if (!response.ok) throw new Error(`${url}: ${response.status}`);
+  if (!cached) return response;
+  // Servers that ignore the conditional headers still send the same validators;
+  // only servers that send neither get their files compared in full
+  if (etag || modified) {
+    const same = response.headers.get("ETag") === etag && response.headers.get("Last-Modified") === modified;
+    return same ? null : response;
+  }
+  return await cached.text() === await response.clone().text() ? null : response;
+}
+
+// Checks every shell file and, when any changed, stages a complete new set and
+// tells open pages so they can offer a reload
+async function checkShell() {
+  const live = await caches.open(CACHE_NAME);
+  const cached = await Promise.all(PRECACHE.map(url => live.match(url)));
+  const fresh = await Promise.all(PRECACHE.map((url, i) => fetchIfChanged(url, cached[i])));
+  if (!fresh.some(Boolean)) return;
+  
+  await caches.delete(STAGING_NAME);
+  const staging = await caches.open(STAGING_NAME);
+  await Promise.all(PRECACHE.map((url, i) => staging.put(url, fresh[i] || cached[i])));
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach(client => client.postMessage("shellUpdated"));
+}
+
+// Moves a staged shell into the live cache; a set left half-written is dropped
+async function promoteStaged() {
+  if (!(await caches.has(STAGING_NAME))) return;
+  const staging = await caches.open(STAGING_NAME);
+  const requests = await staging.keys();
+  if (requests.length === PRECACHE.length) {
+    const live = await caches.open(CACHE_NAME);
+    await Promise.all(requests.map(async request => live.put(request, await staging.match(request))));
+  }
+  await caches.delete(STAGING_NAME);
+}
+
+self.addEventListener("fetch", (e) => {
+  const { request } = e;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  
+  // Pages load the cached shell (query strings and share-link hashes don't matter),
+  // taking up a staged update first; everything else comes from the cache,
+  // falling back to the network
+  if (request.mode === "navigate") {
+    const ready = promoteStaged().catch(() => {});
+    e.respondWith(ready
+      .then(() => caches.open(CACHE_NAME))
+      .then(cache => cache.match("index.html"))
+      .then(response => response || fetch(request)));
+    // Offline, the check just fails and the cached shell stays
+    e.waitUntil(ready.then(checkShell).catch(() => {}));
+    return;
+  }
+  
+  e.respondWith(caches.open(CACHE_NAME)
+    .then(cache => cache.match(request, { ignoreSearch: true }))
+    .then(response => response || fetch(request)));
+});
@@ -0,0 +1,84 @@
+// Runs cli.js as a child process and checks its output and exit status.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("node:child_process");
+const path = require("node:path");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+
+const run = (args, input) => spawnSync(process.execPath, [CLI, ...args], { input, encoding: "utf8" });
+
+const names = (n) => Array.from({ length: n }, (_, i) => `Player ${i + 1}`).join("\n");
+
+test("prints a seeded schedule and exits 0", () => {
+  const first = run(["-", "-s", "abc"], names(7));
+  const second = run(["-", "-s", "abc"], names(7));
+  assert.equal(first.status, 0, first.stderr);
+  assert.match(first.stdout, /^Period 1: /);
+  assert.equal(first.stdout, second.stdout);
+});
+
+test("JSON output covers every period", () => {
+  const { status, stdout } = run(["-", "-f", "5v5", "-o", "json", "-s", "abc"], names(8));
+  const out = JSON.parse(stdout);
+  assert.equal(status, 0);
+  assert.equal(out.periods.length, 8);
+  out.periods.forEach(p => assert.equal(p.players.length, 5));
+});
+
+test("a roster too small for the format exits 2", () => {
+  const { status, stdout, stderr } = run(["-", "-f", "6v6"], names(5));
+  assert.equal(status, 2);
+  assert.equal(stdout, "");
+  assert.match(stderr, /Need 6 active players/);
+});
+
+test("custom formats from an exported game can be picked", () => {
+  const exported = JSON.stringify({
+    format: "rotation-planner",
+    state: {
+      players: names(5).split("\n").map(name => ({ name })),
+      formats: [{ id: "mini", name: "Mini", onCourt: 3, periods: 4, periodMinutes: 6 }]
+    }
+  });
+  const { status, stdout } = run(["-", "-f", "mini", "-o", "json", "-s", "abc"], exported);
+  assert.equal(status, 0);
+  assert.equal(JSON.parse(stdout).format, "Mini");
+});
+
+test("unknown options and formats exit 2", () => {
+  assert.equal(run(["-", "-f", "nope"], names(7)).status, 2);
+  assert.equal(run(["-", "--bogus"], names(7)).status, 2);
+});
+
+test("CSV cells can't start a spreadsheet formula", () => {
+  const { stdout } = run(["-", "-o", "csv", "-s", "abc"], `=SUM(A1)\n${names(6)}`);
+  assert.match(stdout, /^'=SUM\(A1\),/m);
+});
+
+test("a period left short-handed exits 2", () => {
+  const roster = JSON.stringify([...names(4).split("\n"), { name: "Late", untilPeriod: 4 }]);
+  const { status, stderr } = run(["-", "-f", "5v5"], roster);
+  assert.equal(status, 2);
+  assert.match(stderr, /Couldn't fill periods 5, 6, 7, 8/);
+});
+
+test("missing and repeated ids don't merge players", () => {
+  const roster = JSON.stringify([{ name: "a", id: "p2" }, { name: "b" }, { name: "c", id: "p2" }, { name: "d" }, { name: "e" }]);
+  const { status, stdout } = run(["-", "-o", "json", "-s", "abc"], roster);
+  assert.equal(status, 0);
+  JSON.parse(stdout).periods.forEach(p => assert.equal(new Set(p.players).size, 4));
+});
+
+test("old exports are migrated like the app does", () => {
+  const exported = JSON.stringify({
+    format: "rotation-planner",
+    state: { players: [{ name: "Star", top: true }, ...names(6).split("\n").map(name => ({ name }))], avoidStreaks: true }
+  });
+  const { stdout } = run(["-", "-o", "json", "-s", "abc"], exported);
+  const star = JSON.parse(stdout).fairness.players.find(p => p.name === "Star");
+  assert.ok(star.longestOn <= 2, "the old streak setting still applies");
+  assert.ok(star.periods >= 5, "the top player keeps priority for extra time");
+});
@@ -0,0 +1,117 @@
+// Builds every mode and format over a few roster sizes with fixed seeds and
+// checks the guarantees the app relies on.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Scheduler = require("../scheduler.js");
+
+const MODES = ["fair_optimized", "sliding_fixed", "sliding_adaptive", "true_random_fair"];
+
+function makeGame(format, size, overrides = {}) {
+  const players = Array.from({ length: size }, (_, i) => ({
+    id: `p${i + 1}`,
+    name: `Player ${i + 1}`,
+    skill: Scheduler.TIERS[i % 3],
+    positions: [],
+    available: true,
+    out: false
+  }));
+  return {
+    players,
+    gameMode: format.id,
+    formats: [],
+    mode: "fair_optimized",
+    periods: format.periods,
+    periodMinutes: format.periodMinutes,
+    tierCoverage: { 3: 1, 2: 0, 1: 0 },
+    balanceStrength: true,
+    positionRules: {},
+    pairRules: [],
+    patterns: [],
+    patternId: "",
+    maxOnStreak: 0,
+    maxBenchStreak: 0,
+    seed: "test",
+    schedule: {},
+    locked: {},
+    subs: {},
+    ...overrides
+  };
+}
+
+for (const mode of MODES) {
+  for (const format of Scheduler.FORMATS) {
+    // One on the bench, a few on the bench, and close to two full lineups
+    for (const size of [format.onCourt + 1, format.onCourt + 3, format.onCourt * 2 + 1]) {
+      test(`${mode}, ${format.id}, ${size} players`, () => {
+        const game = makeGame(format, size, { mode });
+        const result = Scheduler.buildSchedule(game);
+        const built = { ...game, schedule: result.schedule };
+        
+        assert.equal(result.seed, "test");
+        for (let k = 1; k <= format.periods; k++) {
+          const lineup = result.schedule[String(k)];
+          assert.ok(lineup, `period ${k} is scheduled`);
+          assert.equal(lineup.length, format.onCourt, `period ${k} fills the court`);
+          assert.equal(new Set(lineup).size, lineup.length, `period ${k} has no repeats`);
+        }
+        
+        const spread = Scheduler.checkFairness(built).filter(issue => issue.rule === "spread");
+        assert.deepEqual(spread, [], "everyone plays within one period of each other");
+        
+        assert.deepEqual(Scheduler.buildSchedule(game).schedule, result.schedule, "same seed, same schedule");
+      });
+    }
+  }
+}
+
+test("buildSchedule leaves its input alone", () => {
+  const game = makeGame(Scheduler.FORMATS[1], 7);
+  const before = JSON.stringify(game);
+  Scheduler.buildSchedule(game);
+  assert.equal(JSON.stringify(game), before);
+});
+
+test("locked periods are kept", () => {
+  const game = makeGame(Scheduler.FORMATS[1], 7, {
+    schedule: { 1: ["p1", "p2", "p3", "p4"] },
+    locked: { 1: true }
+  });
+  const { schedule } = Scheduler.buildSchedule(game);
+  assert.deepEqual(schedule["1"], ["p1", "p2", "p3", "p4"]);
+});
+
+test("too few players leaves the game unscheduled and says why", () => {
+  const format = Scheduler.FORMATS.find(f => f.id === "6v6");
+  const { schedule, issues } = Scheduler.buildSchedule(makeGame(format, 5));
+  assert.deepEqual(schedule, {});
+  assert.ok(issues.includes("Need 6 active players."));
+});
+
+test("scoreSchedule measures the schedule it is given", () => {
+  const game = makeGame(Scheduler.FORMATS[0], 4, { periods: 2, tierCoverage: { 3: 0, 2: 0, 1: 0 } });
+  // p1-p2-p3 share the court, then p1-p2-p4: 5 of the 6 possible pairs
+  const mixed = Scheduler.scoreSchedule({ ...game, schedule: { 1: ["p1", "p2", "p3"], 2: ["p1", "p2", "p4"] } });
+  const same = Scheduler.scoreSchedule({ ...game, schedule: { 1: ["p1", "p2", "p3"], 2: ["p1", "p2", "p3"] } });
+  
+  assert.equal(mixed.variety, 5 / 6);
+  assert.equal(same.variety, 3 / 6);
+  assert.equal(mixed.spread, 1);
+  assert.equal(same.spread, 2);
+  assert.equal(same.fair, false);
+});
+
+test("every mode meets tier minimums that can be met, and reports the rest", () => {
+  const format = Scheduler.FORMATS.find(f => f.id === "4v4");
+  for (const mode of MODES) {
+    const met = makeGame(format, 9, { mode, tierCoverage: { 3: 1, 2: 1, 1: 0 } });
+    const { schedule } = Scheduler.buildSchedule(met);
+    const { coverage } = Scheduler.getFairnessReport({ ...met, schedule });
+    assert.deepEqual(coverage.filter(c => c.shortfall > 0), [], `${mode} covers every period`);
+    
+    const unmet = makeGame(format, 9, { mode, tierCoverage: { 3: 3, 2: 0, 1: 0 } });
+    const { issues } = Scheduler.buildSchedule(unmet);
+    assert.ok(issues.some(issue => issue.startsWith("Tier minimums not met")), `${mode} reports the shortfall`);
+  }
+});